@@ -0,0 +1,57 @@
+// Orders for visiting the artworks one after another
+//
+// 'manifest' follows the exhibit list (the manifest, then images found in
+// the folder), 'chronological' goes by date and 'wall' walks round each room
+// in turn. Artworks are the hung artworks built in main.js.
+
+export const ARTWORK_ORDERS = ['manifest', 'chronological', 'wall'];
+
+// Returns a new array. `exhibitList` is the list of artwork infos the museum
+// was built from and `rooms` the floor plan's rooms.
+export function orderArtworks(artworks, order, exhibitList, rooms) {
+    const listIndex = artwork => {
+        const index = exhibitList.indexOf(artwork.info);
+        return index === -1 ? Infinity : index;
+    };
+    const byList = (a, b) => listIndex(a) - listIndex(b);
+
+    if (order === 'chronological') {
+        // Undated artworks come last, in list order
+        return artworks
+            .map(artwork => ({ artwork, time: getArtworkDate(artwork.info) }))
+            .sort((a, b) => {
+                if (a.time === null || b.time === null) {
+                    return a.time === b.time ? byList(a.artwork, b.artwork) : a.time === null ? 1 : -1;
+                }
+                return a.time - b.time || byList(a.artwork, b.artwork);
+            })
+            .map(({ artwork }) => artwork);
+    }
+
+    if (order === 'wall') {
+        // Room by room, then clockwise (seen from above) from the back left corner
+        const roomIndex = artwork => rooms.findIndex(room => room.id === artwork.room.id);
+        const angle = artwork => {
+            const { x, z } = artwork.group.position;
+            const turn = Math.atan2(z - artwork.room.z, x - artwork.room.x) - Math.atan2(-artwork.room.length, -artwork.room.width);
+            return (turn + Math.PI * 4) % (Math.PI * 2);
+        };
+        return artworks.slice().sort((a, b) => roomIndex(a) - roomIndex(b) || angle(a) - angle(b));
+    }
+
+    return artworks.slice().sort(byList);
+}
+
+// When an artwork was taken, in milliseconds, or null if unknown. Uses its
+// "date" (YYYY-MM-DD) or else a title like 3-1-25 or 10/19/2024 (month first).
+export function getArtworkDate(info) {
+    if (info.date) {
+        return Date.UTC(...info.date.split('-').map((part, index) => Number(part) - (index === 1 ? 1 : 0)));
+    }
+
+    const match = /^\s*(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\s*$/.exec(info.title || '');
+    if (!match) return null;
+    const [month, day, year] = match.slice(1).map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return Date.UTC(year < 100 ? 2000 + year : year, month - 1, day);
+}
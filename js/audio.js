@@ -0,0 +1,213 @@
+// Museum sound: background music, an ambient loop and per-artwork voice notes
+//
+// Everything plays through one AudioListener on the camera, so voice notes
+// hanging on the walls get louder as the visitor walks up to them. Browsers
+// keep audio silent until the page is clicked, so nothing plays before start().
+
+import * as THREE from 'three';
+
+const MUSIC_VOLUME = 0.4;
+const DUCKED_MUSIC_VOLUME = 0.1; // Music level while a voice note plays in full
+const AMBIENT_VOLUME = 0.25;
+const VOICE_NOTE_RANGE = 10; // Voice notes can be heard within this distance
+const VOICE_NOTE_REF_DISTANCE = 2; // Voice notes are at full volume this close
+
+export function createMuseumAudio(camera) {
+    const listener = new THREE.AudioListener();
+    camera.add(listener);
+    const loader = new THREE.AudioLoader();
+
+    // Music and ambience stream from media elements instead of being decoded up front
+    const musicElement = createLoopingElement(false);
+    const music = new THREE.Audio(listener);
+    music.setMediaElementSource(musicElement);
+    music.setVolume(MUSIC_VOLUME);
+
+    const ambientElement = createLoopingElement(true);
+    const ambient = new THREE.Audio(listener);
+    ambient.setMediaElementSource(ambientElement);
+    ambient.setVolume(AMBIENT_VOLUME);
+
+    const voiceNotes = [];
+    const listenerPosition = new THREE.Vector3();
+    const notePosition = new THREE.Vector3();
+
+    let playlist = [];
+    let trackIndex = 0;
+    let failedTracks = 0;
+    let started = false;
+    let muted = false;
+    let volume = 0.8;
+    let featuredNote = null;
+
+    musicElement.addEventListener('ended', () => {
+        failedTracks = 0;
+        playTrack(trackIndex + 1);
+    });
+    musicElement.addEventListener('error', () => {
+        console.warn(`Music track ${musicElement.src} could not be played`);
+        // Skip broken tracks, but don't spin forever if none of them work
+        failedTracks++;
+        if (failedTracks < playlist.length) {
+            playTrack(trackIndex + 1);
+        }
+    });
+    ambientElement.addEventListener('error', () => {
+        console.warn(`Ambient sound ${ambientElement.src} could not be played`);
+    });
+
+    function createLoopingElement(loop) {
+        const element = document.createElement('audio');
+        element.crossOrigin = 'anonymous';
+        element.preload = 'auto';
+        element.loop = loop;
+        return element;
+    }
+
+    function playTrack(index) {
+        if (playlist.length === 0) return;
+        trackIndex = index % playlist.length;
+        musicElement.src = playlist[trackIndex];
+        musicElement.play().catch(error => console.warn('Music could not start:', error.message));
+    }
+
+    function startBackground() {
+        if (playlist.length > 0 && musicElement.paused) {
+            playTrack(trackIndex);
+        }
+        if (ambientElement.src && ambientElement.paused) {
+            ambientElement.play().catch(error => console.warn('Ambient sound could not start:', error.message));
+        }
+    }
+
+    function applyVolume() {
+        listener.setMasterVolume(muted ? 0 : volume);
+    }
+    applyVolume();
+
+    return {
+        get muted() {
+            return muted;
+        },
+        get volume() {
+            return volume;
+        },
+
+        // Call from a click handler: browsers only let audio start after one
+        start() {
+            if (started) return;
+            started = true;
+            listener.context.resume();
+            startBackground();
+        },
+
+        // Set the music playlist and ambient loop (paths relative to the page)
+        setSoundtrack({ music: tracks = [], ambient: ambientSource = null }) {
+            playlist = tracks;
+            trackIndex = 0;
+            failedTracks = 0;
+            if (ambientSource) {
+                ambientElement.src = ambientSource;
+            }
+            if (started) {
+                startBackground();
+            }
+        },
+
+        setMuted(value) {
+            muted = value;
+            applyVolume();
+        },
+
+        setVolume(value) {
+            volume = Math.max(0, Math.min(1, value));
+            applyVolume();
+        },
+
+        // Hang a voice note on an object in the scene. Returns a handle for
+        // playVoiceNoteInFull() and removeVoiceNote().
+        addVoiceNote(parent, src) {
+            const sound = new THREE.PositionalAudio(listener);
+            sound.setDistanceModel('linear');
+            sound.setRefDistance(VOICE_NOTE_REF_DISTANCE);
+            sound.setMaxDistance(VOICE_NOTE_RANGE);
+            sound.setLoop(true);
+            parent.add(sound);
+
+            const note = { sound, src, ready: false };
+            loader.load(src, buffer => {
+                sound.setBuffer(buffer);
+                note.ready = true;
+                if (featuredNote === note) {
+                    this.playVoiceNoteInFull(note);
+                }
+            }, undefined, () => {
+                console.warn(`Voice note ${src} could not be loaded`);
+            });
+
+            voiceNotes.push(note);
+            return note;
+        },
+
+        removeVoiceNote(note) {
+            if (note.sound.isPlaying) {
+                note.sound.stop();
+            }
+            note.sound.removeFromParent();
+            voiceNotes.splice(voiceNotes.indexOf(note), 1);
+            if (featuredNote === note) {
+                featuredNote = null;
+                music.setVolume(MUSIC_VOLUME);
+            }
+        },
+
+        // Play a voice note from the beginning to the end, with the music turned down
+        playVoiceNoteInFull(note) {
+            if (featuredNote && featuredNote !== note) {
+                this.stopFeaturedVoiceNote();
+            }
+            featuredNote = note;
+            if (!note.ready) return; // Plays once it has loaded
+
+            if (note.sound.isPlaying) {
+                note.sound.stop();
+            }
+            note.sound.setLoop(false);
+            note.sound.onEnded = () => {
+                note.sound.isPlaying = false;
+                music.setVolume(MUSIC_VOLUME);
+            };
+            music.setVolume(DUCKED_MUSIC_VOLUME);
+            note.sound.play();
+        },
+
+        // Go back to voice notes only playing softly by distance
+        stopFeaturedVoiceNote() {
+            if (!featuredNote) return;
+            const note = featuredNote;
+            featuredNote = null;
+            if (note.sound.isPlaying) {
+                note.sound.stop();
+            }
+            note.sound.setLoop(true);
+            delete note.sound.onEnded;
+            music.setVolume(MUSIC_VOLUME);
+        },
+
+        // Start voice notes the visitor is close to and stop the rest; call every frame
+        update() {
+            if (!started) return;
+            camera.getWorldPosition(listenerPosition);
+
+            voiceNotes.forEach(note => {
+                if (!note.ready || note === featuredNote) return;
+                const inRange = note.sound.getWorldPosition(notePosition).distanceTo(listenerPosition) < VOICE_NOTE_RANGE;
+                if (inRange && !note.sound.isPlaying) {
+                    note.sound.play();
+                } else if (!inRange && note.sound.isPlaying) {
+                    note.sound.pause();
+                }
+            });
+        }
+    };
+}
@@ -0,0 +1,102 @@
+// Simple figures standing in for other visitors, with a name tag overhead
+
+import * as THREE from 'three';
+
+const AVATAR_COLORS = [0xff69b4, 0x3399ff, 0x33cc66, 0xffaa00, 0x9966ff, 0xff5555];
+const HOST_COLOR = 0xffd700;
+const SMOOTHING = 10; // How quickly avatars catch up with where they were last seen
+
+// Build an avatar. `position` is where the visitor's eyes are, like the camera.
+export function createAvatar(visitor, index) {
+    const color = visitor.host ? HOST_COLOR : AVATAR_COLORS[index % AVATAR_COLORS.length];
+    const material = new THREE.MeshStandardMaterial({ color, roughness: 0.6 });
+
+    const group = new THREE.Group();
+
+    // Body from the floor to the shoulders; the group sits at eye height
+    const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.3, 1.2, 4, 12), material);
+    body.position.y = -1.05;
+    body.castShadow = true;
+    group.add(body);
+
+    // The head turns up and down with the visitor's view
+    const head = new THREE.Group();
+    const skull = new THREE.Mesh(new THREE.SphereGeometry(0.25, 16, 12), material);
+    head.add(skull);
+    const visor = new THREE.Mesh(
+        new THREE.BoxGeometry(0.3, 0.08, 0.1),
+        new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.3 })
+    );
+    visor.position.set(0, 0.03, -0.22); // Cameras look down -z
+    head.add(visor);
+    group.add(head);
+
+    const tag = createNameTag(visitor.host ? `${visitor.name} (host)` : visitor.name);
+    tag.position.y = 0.6;
+    group.add(tag);
+
+    const avatar = {
+        id: visitor.id,
+        name: visitor.name,
+        host: visitor.host,
+        group,
+        head,
+        targetPosition: new THREE.Vector3(),
+        targetRotation: [0, 0]
+    };
+    setAvatarTarget(avatar, visitor.position, visitor.rotation);
+    group.position.copy(avatar.targetPosition);
+    group.rotation.y = avatar.targetRotation[1];
+    return avatar;
+}
+
+// Where an avatar should move to. `rotation` is [pitch, yaw] in radians.
+export function setAvatarTarget(avatar, position, rotation) {
+    avatar.targetPosition.fromArray(position);
+    avatar.targetRotation = rotation;
+}
+
+// Glide an avatar towards its target; call every frame
+export function updateAvatar(avatar, delta) {
+    const blend = 1 - Math.exp(-SMOOTHING * delta);
+    avatar.group.position.lerp(avatar.targetPosition, blend);
+
+    // Turn the shortest way round
+    const [pitch, yaw] = avatar.targetRotation;
+    const turn = Math.atan2(Math.sin(yaw - avatar.group.rotation.y), Math.cos(yaw - avatar.group.rotation.y));
+    avatar.group.rotation.y += turn * blend;
+    avatar.head.rotation.x += (pitch - avatar.head.rotation.x) * blend;
+}
+
+export function disposeAvatar(avatar) {
+    avatar.group.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) {
+            if (object.material.map) object.material.map.dispose();
+            object.material.dispose();
+        }
+    });
+}
+
+// A label that always faces the camera
+function createNameTag(name) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 256;
+    canvas.height = 64;
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.beginPath();
+    context.roundRect(0, 0, canvas.width, canvas.height, 16);
+    context.fill();
+
+    context.font = 'bold 32px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = 'white';
+    context.fillText(name, canvas.width / 2, canvas.height / 2, canvas.width - 20);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+    sprite.scale.set(1.2, 0.3, 1);
+    return sprite;
+}
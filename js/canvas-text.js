@@ -0,0 +1,43 @@
+// Fitting text into a box on a canvas
+
+// Split text into lines no wider than `maxWidth` in the context's current
+// font. A single word that is too wide gets a line of its own.
+export function wrapText(context, text, maxWidth) {
+    const lines = [];
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        const last = lines.length - 1;
+        if (last >= 0 && context.measureText(`${lines[last]} ${word}`).width <= maxWidth) {
+            lines[last] += ` ${word}`;
+        } else {
+            lines.push(word);
+        }
+    });
+    return lines.length > 0 ? lines : [''];
+}
+
+// Find the largest font size from `maxSize` down to `minSize` at which the
+// wrapped text fits in the box. `font(size)` builds the CSS font string.
+// Text that won't fit even at the smallest size keeps as many lines as fit,
+// with the last one holding the rest; draw it with fillText's maxWidth so
+// it gets squeezed sideways rather than overflowing.
+export function fitText(context, text, { maxWidth, maxHeight, maxSize, minSize, font, lineHeight = 1.1, step = 6 }) {
+    let lines = [text];
+
+    for (let fontSize = maxSize; fontSize >= minSize; fontSize -= step) {
+        context.font = font(fontSize);
+        lines = wrapText(context, text, maxWidth);
+
+        const fitsWidth = lines.every(line => context.measureText(line).width <= maxWidth);
+        if (fitsWidth && lines.length * fontSize * lineHeight <= maxHeight) {
+            return { lines, fontSize };
+        }
+    }
+
+    context.font = font(minSize);
+    lines = wrapText(context, text, maxWidth);
+    const maxLines = Math.max(1, Math.floor(maxHeight / (minSize * lineHeight)));
+    if (lines.length > maxLines) {
+        lines = lines.slice(0, maxLines - 1).concat(lines.slice(maxLines - 1).join(' '));
+    }
+    return { lines, fontSize: minSize };
+}
@@ -0,0 +1,173 @@
+// Collision world: the boxes the visitor bumps into, steps up onto and
+// stands on
+//
+// Everything solid in the museum registers a box here when it's built:
+// walls, benches, planters, gift boxes and so on. Boxes may be turned about
+// the vertical axis. The visitor is an upright cylinder, a circle on the
+// floor plan running from their feet up to the top of their head.
+//
+// Moving pushes the visitor back out of each box they end up in, along the
+// box's surface, so they slide along walls and turned furniture alike.
+// Boxes whose top is within a step of the visitor's feet don't block them;
+// they step up onto them instead, and stand on top of anything standable.
+
+import * as THREE from 'three';
+
+const PUSH_ITERATIONS = 4; // Passes over the boxes to push the visitor out of corners
+const DEBUG_COLORS = { wall: 0x00ffff, bench: 0xffff00, planter: 0x00ff00, decoration: 0xff00ff };
+const DEBUG_DEFAULT_COLOR = 0xffffff;
+
+// `body` in the methods below is the visitor: { radius, feet, height,
+// stepHeight }, with `feet` the height of the soles above the floor
+export function createCollisionWorld() {
+    const colliders = [];
+
+    // Whether a box gets in the body's way, rather than being stepped onto,
+    // passed over or walked under
+    function blocks(collider, body) {
+        return collider.top > body.feet + body.stepHeight && collider.bottom < body.feet + body.height;
+    }
+
+    // How far to push a circle at (x, z) to get it out of a box, as { x, z },
+    // or null if it doesn't overlap
+    function pushOut(collider, x, z, radius) {
+        // Into the box's own frame, where it's axis-aligned
+        const dx = x - collider.x;
+        const dz = z - collider.z;
+        const localX = dx * collider.cos - dz * collider.sin;
+        const localZ = dx * collider.sin + dz * collider.cos;
+
+        const nearestX = Math.max(-collider.halfX, Math.min(collider.halfX, localX));
+        const nearestZ = Math.max(-collider.halfZ, Math.min(collider.halfZ, localZ));
+        let pushX = localX - nearestX;
+        let pushZ = localZ - nearestZ;
+        const distance = Math.hypot(pushX, pushZ);
+
+        if (distance >= radius) return null;
+        if (distance > 0) {
+            // Outside the box but too close: straight out from the nearest point
+            pushX *= (radius - distance) / distance;
+            pushZ *= (radius - distance) / distance;
+        } else {
+            // Centre inside the box: out through the nearest side
+            const depthX = collider.halfX - Math.abs(localX) + radius;
+            const depthZ = collider.halfZ - Math.abs(localZ) + radius;
+            if (depthX < depthZ) {
+                pushX = Math.sign(localX || 1) * depthX;
+            } else {
+                pushZ = Math.sign(localZ || 1) * depthZ;
+            }
+        }
+
+        // Back into the world
+        return {
+            x: pushX * collider.cos + pushZ * collider.sin,
+            z: -pushX * collider.sin + pushZ * collider.cos
+        };
+    }
+
+    function contains(collider, x, z) {
+        const dx = x - collider.x;
+        const dz = z - collider.z;
+        return Math.abs(dx * collider.cos - dz * collider.sin) <= collider.halfX &&
+            Math.abs(dx * collider.sin + dz * collider.cos) <= collider.halfZ;
+    }
+
+    return {
+        colliders,
+        // Add a box standing on `bottom` with its footprint centred on
+        // (x, z), `width` along its own x and `depth` along its own z, turned
+        // `rotation` radians about the vertical like an Object3D.
+        // `standable` boxes can be stood on.
+        addBox({ x, z, bottom = 0, width, depth, height, rotation = 0, type = 'decoration', standable = true }) {
+            const collider = {
+                type,
+                x,
+                z,
+                bottom,
+                top: bottom + height,
+                halfX: width / 2,
+                halfZ: depth / 2,
+                rotation,
+                cos: Math.cos(rotation),
+                sin: Math.sin(rotation),
+                standable
+            };
+            colliders.push(collider);
+            return collider;
+        },
+        // Whether the body would be inside something at (x, z)
+        collides(x, z, body) {
+            return colliders.some(collider => blocks(collider, body) && pushOut(collider, x, z, body.radius) !== null);
+        },
+        // Height the body stands at over (x, z): the top of the highest
+        // standable box under it that's within a step of its feet, or the floor
+        groundHeight(x, z, body) {
+            let ground = 0;
+            colliders.forEach(collider => {
+                if (collider.standable && collider.top > ground && collider.top <= body.feet + body.stepHeight &&
+                    contains(collider, x, z)) {
+                    ground = collider.top;
+                }
+            });
+            return ground;
+        },
+        // Where the body ends up moving from (x, z) by (dx, dz), sliding
+        // along whatever is in the way. Returns { x, z }.
+        move(x, z, dx, dz, body) {
+            // Short steps, so a fast move can't jump through a thin wall
+            const steps = Math.max(1, Math.ceil(Math.hypot(dx, dz) / (body.radius / 2)));
+            const blocking = colliders.filter(collider => blocks(collider, body));
+            let position = { x, z };
+
+            for (let step = 0; step < steps; step++) {
+                position.x += dx / steps;
+                position.z += dz / steps;
+                for (let pass = 0; pass < PUSH_ITERATIONS; pass++) {
+                    let pushed = false;
+                    blocking.forEach(collider => {
+                        const push = pushOut(collider, position.x, position.z, body.radius);
+                        if (push) {
+                            position.x += push.x;
+                            position.z += push.z;
+                            pushed = true;
+                        }
+                    });
+                    if (!pushed) break;
+                }
+            }
+            return position;
+        },
+        // The area a box covers on the floor plan, squared up to the axes:
+        // { x, z, halfX, halfZ }
+        footprint(collider) {
+            const cos = Math.abs(collider.cos);
+            const sin = Math.abs(collider.sin);
+            return {
+                x: collider.x,
+                z: collider.z,
+                halfX: cos * collider.halfX + sin * collider.halfZ,
+                halfZ: sin * collider.halfX + cos * collider.halfZ
+            };
+        },
+        // Wireframes of every box, coloured by type, for seeing what the
+        // visitor collides with. Build a new one after boxes are added.
+        createDebugView() {
+            const group = new THREE.Group();
+            colliders.forEach(collider => {
+                const box = new THREE.LineSegments(
+                    new THREE.EdgesGeometry(new THREE.BoxGeometry(
+                        collider.halfX * 2,
+                        collider.top - collider.bottom,
+                        collider.halfZ * 2
+                    )),
+                    new THREE.LineBasicMaterial({ color: DEBUG_COLORS[collider.type] ?? DEBUG_DEFAULT_COLOR })
+                );
+                box.position.set(collider.x, (collider.bottom + collider.top) / 2, collider.z);
+                box.rotation.y = collider.rotation;
+                group.add(box);
+            });
+            return group;
+        }
+    };
+}
@@ -0,0 +1,264 @@
+// Floor plan made of connected rooms
+//
+// Rooms are axis-aligned rectangles given by their centre (x, z) and size.
+// Two rooms are connected by a doorway cut into the wall they share, so
+// rooms that have a doorway between them must touch along one side.
+
+export const DOORWAY_WIDTH = 4;
+export const DOORWAY_HEIGHT = 4.5;
+
+const EPSILON = 0.01;
+
+// Check room and doorway definitions, returning a list of problems (empty when fine)
+export function findFloorPlanProblems(rooms, doorways) {
+    const problems = [];
+    const bounded = rooms.map(withBounds);
+    const ids = new Set();
+
+    bounded.forEach((room, index) => {
+        if (ids.has(room.id)) {
+            problems.push(`rooms[${index}] reuses the id "${room.id}"`);
+        }
+        ids.add(room.id);
+
+        bounded.slice(0, index).forEach(other => {
+            const overlapX = Math.min(room.maxX, other.maxX) - Math.max(room.minX, other.minX);
+            const overlapZ = Math.min(room.maxZ, other.maxZ) - Math.max(room.minZ, other.minZ);
+            if (overlapX > EPSILON && overlapZ > EPSILON) {
+                problems.push(`rooms "${other.id}" and "${room.id}" overlap`);
+            }
+        });
+    });
+
+    doorways.forEach((doorway, index) => {
+        const from = bounded.find(room => room.id === doorway.from);
+        const to = bounded.find(room => room.id === doorway.to);
+        if (!from || !to) {
+            problems.push(`doorways[${index}] connects "${doorway.from}" and "${doorway.to}" but both rooms must exist`);
+            return;
+        }
+
+        const shared = findSharedWall(from, to);
+        if (!shared) {
+            problems.push(`doorways[${index}]: rooms "${from.id}" and "${to.id}" don't share a wall`);
+            return;
+        }
+
+        const width = doorway.width || DOORWAY_WIDTH;
+        const center = (shared.start + shared.end) / 2 + (doorway.offset || 0);
+        if (center - width / 2 < shared.start + 0.5 || center + width / 2 > shared.end - 0.5) {
+            problems.push(`doorways[${index}] is too wide or too far off-centre for the wall between "${from.id}" and "${to.id}"`);
+        }
+    });
+
+    // Every room must be reachable from the first one
+    if (bounded.length > 0 && problems.length === 0) {
+        const reached = new Set([bounded[0].id]);
+        let grew = true;
+        while (grew) {
+            grew = false;
+            doorways.forEach(doorway => {
+                if (reached.has(doorway.from) !== reached.has(doorway.to)) {
+                    reached.add(doorway.from);
+                    reached.add(doorway.to);
+                    grew = true;
+                }
+            });
+        }
+        bounded.forEach(room => {
+            if (!reached.has(room.id)) {
+                problems.push(`room "${room.id}" has no doorway leading to it`);
+            }
+        });
+    }
+
+    return problems;
+}
+
+// Build a floor plan from checked room and doorway definitions
+export function createFloorPlan(rooms, doorways = []) {
+    const planRooms = rooms.map(withBounds);
+
+    const planDoorways = doorways.map(doorway => {
+        const from = planRooms.find(room => room.id === doorway.from);
+        const to = planRooms.find(room => room.id === doorway.to);
+        const shared = findSharedWall(from, to);
+        return {
+            from: from.id,
+            to: to.id,
+            axis: shared.axis,
+            at: shared.at,
+            center: (shared.start + shared.end) / 2 + (doorway.offset || 0),
+            width: doorway.width || DOORWAY_WIDTH,
+            height: doorway.height || DOORWAY_HEIGHT
+        };
+    });
+
+    return {
+        rooms: planRooms,
+        doorways: planDoorways,
+        bounds: {
+            minX: Math.min(...planRooms.map(room => room.minX)),
+            maxX: Math.max(...planRooms.map(room => room.maxX)),
+            minZ: Math.min(...planRooms.map(room => room.minZ)),
+            maxZ: Math.max(...planRooms.map(room => room.maxZ))
+        }
+    };
+}
+
+// Doorway openings in a room's walls, measured along each wall the same way
+// as the layout engine's walls ({ wall, from, to, height })
+export function getRoomOpenings(plan, room) {
+    const openings = [];
+
+    plan.doorways.forEach(doorway => {
+        if (doorway.from !== room.id && doorway.to !== room.id) return;
+
+        const { wall, along } = toWall(room, doorway.axis, doorway.at, doorway.center);
+        openings.push({
+            wall,
+            from: along - doorway.width / 2,
+            to: along + doorway.width / 2,
+            height: doorway.height
+        });
+    });
+
+    return openings;
+}
+
+// Stretches of a room's walls that it shares with a neighbouring room,
+// measured like getRoomOpenings ({ wall, from, to, builder }). Only one of
+// the two rooms builds each stretch, the one that comes first in the plan
+// (`builder` is its id), so the two sides don't flicker against each other.
+export function getSharedWalls(plan, room) {
+    const index = plan.rooms.findIndex(candidate => candidate.id === room.id);
+    const shared = [];
+
+    plan.rooms.forEach((other, otherIndex) => {
+        if (otherIndex === index) return;
+        const stretch = findSharedWall(room, other);
+        if (!stretch) return;
+
+        const start = toWall(room, stretch.axis, stretch.at, stretch.start);
+        const end = toWall(room, stretch.axis, stretch.at, stretch.end);
+        shared.push({
+            wall: start.wall,
+            from: Math.min(start.along, end.along),
+            to: Math.max(start.along, end.along),
+            builder: otherIndex < index ? other.id : room.id
+        });
+    });
+
+    return shared;
+}
+
+// Which of a room's walls a point on the line `axis` = `at` lies on, and how
+// far along that wall it is, the way the layout engine measures walls
+function toWall(room, axis, at, position) {
+    if (axis === 'x') {
+        // Wall at a fixed x, running along z
+        const wall = Math.abs(at - room.minX) < EPSILON ? 'left' : 'right';
+        return { wall, along: wall === 'left' ? room.maxZ - position : position - room.minZ };
+    }
+    // Wall at a fixed z, running along x
+    const wall = Math.abs(at - room.minZ) < EPSILON ? 'back' : 'front';
+    return { wall, along: wall === 'back' ? position - room.minX : room.maxX - position };
+}
+
+// The room containing a point, or null if it's outside every room
+export function findRoom(plan, x, z) {
+    return plan.rooms.find(room =>
+        x >= room.minX && x <= room.maxX && z >= room.minZ && z <= room.maxZ
+    ) || null;
+}
+
+// The room closest to a point (the containing room if there is one)
+export function findNearestRoom(plan, x, z) {
+    let nearest = plan.rooms[0];
+    let nearestDistance = Infinity;
+
+    plan.rooms.forEach(room => {
+        const distance = distanceToRoom(room, x, z);
+        if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearest = room;
+        }
+    });
+
+    return nearest;
+}
+
+// Whether something of radius `margin` can stand at (x, z) without touching a wall
+export function isWalkable(plan, x, z, margin) {
+    const inRoom = plan.rooms.some(room =>
+        x >= room.minX + margin && x <= room.maxX - margin &&
+        z >= room.minZ + margin && z <= room.maxZ - margin
+    );
+    if (inRoom) return true;
+
+    // Doorways let you cross the wall between two rooms
+    return plan.doorways.some(doorway => {
+        const across = doorway.axis === 'x' ? x : z;
+        const along = doorway.axis === 'x' ? z : x;
+        return Math.abs(across - doorway.at) <= margin + EPSILON &&
+            Math.abs(along - doorway.center) <= doorway.width / 2 - margin;
+    });
+}
+
+// Move a point so it's at least `margin` inside a room. Changes and returns the point.
+export function clampToRoom(room, point, margin) {
+    point.x = Math.max(room.minX + margin, Math.min(room.maxX - margin, point.x));
+    point.z = Math.max(room.minZ + margin, Math.min(room.maxZ - margin, point.z));
+    return point;
+}
+
+// Move a point into the floor plan if it isn't already walkable. Changes and returns the point.
+export function clampToFloorPlan(plan, point, margin) {
+    if (isWalkable(plan, point.x, point.z, margin)) {
+        return point;
+    }
+    return clampToRoom(findNearestRoom(plan, point.x, point.z), point, margin);
+}
+
+// How far a point is from the nearest room (0 when inside one)
+export function distanceToFloorPlan(plan, x, z) {
+    return Math.min(...plan.rooms.map(room => distanceToRoom(room, x, z)));
+}
+
+function distanceToRoom(room, x, z) {
+    const dx = Math.max(room.minX - x, 0, x - room.maxX);
+    const dz = Math.max(room.minZ - z, 0, z - room.maxZ);
+    return Math.hypot(dx, dz);
+}
+
+function withBounds(room) {
+    const x = room.x || 0;
+    const z = room.z || 0;
+    return {
+        ...room,
+        x,
+        z,
+        minX: x - room.width / 2,
+        maxX: x + room.width / 2,
+        minZ: z - room.length / 2,
+        maxZ: z + room.length / 2
+    };
+}
+
+// Find the wall two rooms share. `axis` says which coordinate is fixed along
+// the wall ('x' for walls running along z), `at` is that coordinate and
+// start/end bound the shared stretch along the wall.
+function findSharedWall(a, b) {
+    const overlapZ = { start: Math.max(a.minZ, b.minZ), end: Math.min(a.maxZ, b.maxZ) };
+    const overlapX = { start: Math.max(a.minX, b.minX), end: Math.min(a.maxX, b.maxX) };
+
+    if (overlapZ.end - overlapZ.start > EPSILON) {
+        if (Math.abs(a.maxX - b.minX) < EPSILON) return { axis: 'x', at: a.maxX, ...overlapZ };
+        if (Math.abs(b.maxX - a.minX) < EPSILON) return { axis: 'x', at: a.minX, ...overlapZ };
+    }
+    if (overlapX.end - overlapX.start > EPSILON) {
+        if (Math.abs(a.maxZ - b.minZ) < EPSILON) return { axis: 'z', at: a.maxZ, ...overlapX };
+        if (Math.abs(b.maxZ - a.minZ) < EPSILON) return { axis: 'z', at: a.minZ, ...overlapX };
+    }
+    return null;
+}
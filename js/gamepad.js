@@ -0,0 +1,96 @@
+// Game controller input
+//
+// Polled once a frame, since the Gamepad API has no events for sticks or
+// buttons. Uses the first controller with the standard layout (Xbox-style
+// names: A at the bottom, B on the right, Y at the top). Sticks become
+// `axes`; buttons are reported once when pressed.
+
+export const GAMEPAD_DEFAULTS = {
+    deadZone: 0.15, // Stick movement ignored near the centre, from 0 to 1
+    lookSensitivity: 2.5 // Radians per second the right stick turns at full tilt
+};
+
+const BUTTON_NAMES = {
+    0: 'a',
+    1: 'b',
+    2: 'x',
+    3: 'y',
+    9: 'start',
+    12: 'up',
+    13: 'down',
+    14: 'left',
+    15: 'right'
+};
+
+// `handlers` may have onButton(name), onConnect(gamepad), onDisconnect()
+// and onUse(), called on any frame a stick is pushed or a button pressed.
+// `settings` can be changed at any time.
+export function createGamepadInput(handlers, settings = { ...GAMEPAD_DEFAULTS }) {
+    const axes = { forward: 0, right: 0, lookX: 0, lookY: 0 };
+    let gamepadIndex = null;
+    let pressed = new Set();
+
+    function findGamepad() {
+        const gamepads = navigator.getGamepads ? [...navigator.getGamepads()] : [];
+        return gamepads.find(gamepad => gamepad && gamepad.connected && gamepad.mapping === 'standard') || null;
+    }
+
+    // A stick position with the dead zone taken out, still reaching 1 at the edge
+    function readStick(x, y) {
+        const tilt = Math.min(Math.hypot(x, y), 1);
+        if (tilt < settings.deadZone) {
+            return [0, 0];
+        }
+        const amount = (tilt - settings.deadZone) / (1 - settings.deadZone);
+        const length = Math.hypot(x, y);
+        return [x / length * amount, y / length * amount];
+    }
+
+    return {
+        axes,
+        settings,
+        get connected() {
+            return gamepadIndex !== null;
+        },
+        poll() {
+            const gamepad = findGamepad();
+
+            // Plugged in or out since the last frame
+            if (gamepad && gamepad.index !== gamepadIndex) {
+                gamepadIndex = gamepad.index;
+                pressed = new Set(gamepad.buttons.flatMap((button, index) => button.pressed ? [index] : []));
+                handlers.onConnect?.(gamepad);
+            } else if (!gamepad && gamepadIndex !== null) {
+                gamepadIndex = null;
+                pressed.clear();
+                handlers.onDisconnect?.();
+            }
+
+            if (!gamepad) {
+                axes.forward = axes.right = axes.lookX = axes.lookY = 0;
+                return;
+            }
+
+            const [moveX, moveY] = readStick(gamepad.axes[0], gamepad.axes[1]);
+            const [lookX, lookY] = readStick(gamepad.axes[2], gamepad.axes[3]);
+            axes.right = moveX;
+            axes.forward = -moveY;
+            axes.lookX = lookX;
+            axes.lookY = lookY;
+            if (moveX || moveY || lookX || lookY || gamepad.buttons.some(button => button.pressed)) {
+                handlers.onUse?.();
+            }
+
+            gamepad.buttons.forEach((button, index) => {
+                if (button.pressed && !pressed.has(index)) {
+                    pressed.add(index);
+                    if (BUTTON_NAMES[index]) {
+                        handlers.onButton?.(BUTTON_NAMES[index]);
+                    }
+                } else if (!button.pressed) {
+                    pressed.delete(index);
+                }
+            });
+        }
+    };
+}
@@ -0,0 +1,184 @@
+// Guestbook: visitors' messages pinned to a board on the wall
+//
+// The board is a group facing +z, like an artwork, so it can be hung with
+// the same rotation as the wall it's on. Messages come from the museum's
+// guestbook API, and new ones arrive as server-sent events.
+
+import * as THREE from 'three';
+import { fitText } from './canvas-text.js';
+
+export const GUESTBOOK_WIDTH = 8;
+export const GUESTBOOK_HEIGHT = 4.2;
+
+const COLUMNS = 4;
+const ROWS = 2;
+const HEADER_HEIGHT = 0.7;
+const CARD_GAP = 0.15;
+const CARD_COLORS = ['#fff4c2', '#ffd6e7', '#d6f0ff', '#e0ffd6', '#f0e0ff'];
+const FETCH_TIMEOUT = 15000;
+
+export async function loadGuestbook(url) {
+    const response = await fetch(url, { cache: 'no-cache', signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+    if (!response.ok) {
+        throw new Error(`Could not load the guestbook (HTTP ${response.status})`);
+    }
+    return (await response.json()).entries;
+}
+
+// Save a message. Resolves with the entry as the server stored it, after
+// its clean-up.
+export async function signGuestbook(url, name, message) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, message }),
+        signal: AbortSignal.timeout(FETCH_TIMEOUT)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Could not sign the guestbook (HTTP ${response.status})`);
+    }
+    return data.entry;
+}
+
+// Call `onEntry` with each new message. The browser reconnects by itself
+// if the connection drops.
+export function watchGuestbook(url, onEntry) {
+    const source = new EventSource(url);
+    source.addEventListener('entry', event => onEntry(JSON.parse(event.data)));
+    return source;
+}
+
+// Build the board. Call setEntries() with every message to show the newest
+// ones. `key` is the name of the key that opens the guestbook, which
+// setKey() changes when it's rebound.
+export function createGuestbookBoard({ key = 'G' } = {}) {
+    const group = new THREE.Group();
+
+    const backing = new THREE.Mesh(
+        new THREE.PlaneGeometry(GUESTBOOK_WIDTH, GUESTBOOK_HEIGHT),
+        new THREE.MeshStandardMaterial({ color: 0xc49a6c, roughness: 0.95 })
+    );
+    group.add(backing);
+
+    const header = new THREE.Mesh(
+        new THREE.PlaneGeometry(GUESTBOOK_WIDTH - 0.2, HEADER_HEIGHT),
+        new THREE.MeshStandardMaterial({ map: createHeaderTexture(key), roughness: 0.6 })
+    );
+    header.position.set(0, GUESTBOOK_HEIGHT / 2 - HEADER_HEIGHT / 2 - 0.1, 0.01);
+    group.add(header);
+
+    const cards = new THREE.Group();
+    group.add(cards);
+
+    const cardWidth = (GUESTBOOK_WIDTH - CARD_GAP * (COLUMNS + 1)) / COLUMNS;
+    const cardHeight = (GUESTBOOK_HEIGHT - HEADER_HEIGHT - 0.1 - CARD_GAP * (ROWS + 1)) / ROWS;
+
+    function setEntries(entries) {
+        cards.children.slice().forEach(card => {
+            card.geometry.dispose();
+            card.material.map.dispose();
+            card.material.dispose();
+            cards.remove(card);
+        });
+
+        // Newest first, filling the board row by row
+        entries.slice(-COLUMNS * ROWS).reverse().forEach((entry, index) => {
+            const column = index % COLUMNS;
+            const row = Math.floor(index / COLUMNS);
+            const color = CARD_COLORS[hashOf(entry.id) % CARD_COLORS.length];
+
+            const card = new THREE.Mesh(
+                new THREE.PlaneGeometry(cardWidth, cardHeight),
+                new THREE.MeshStandardMaterial({ map: createCardTexture(entry, color), roughness: 0.8 })
+            );
+            card.position.set(
+                -GUESTBOOK_WIDTH / 2 + CARD_GAP + cardWidth / 2 + column * (cardWidth + CARD_GAP),
+                GUESTBOOK_HEIGHT / 2 - HEADER_HEIGHT - 0.1 - CARD_GAP - cardHeight / 2 - row * (cardHeight + CARD_GAP),
+                0.02
+            );
+            // A slight tilt, the same every time the board is redrawn
+            card.rotation.z = ((hashOf(entry.id) % 7) - 3) * 0.012;
+            cards.add(card);
+        });
+    }
+
+    function setKey(newKey) {
+        if (newKey === key) return;
+        key = newKey;
+        header.material.map.dispose();
+        header.material.map = createHeaderTexture(key);
+    }
+
+    return { group, setEntries, setKey };
+}
+
+function createHeaderTexture(key) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 1024;
+    canvas.height = 96;
+
+    context.fillStyle = '#5c3d2e';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    context.textBaseline = 'middle';
+    context.fillStyle = '#ffffff';
+    context.font = 'bold 52px Arial';
+    context.textAlign = 'left';
+    context.fillText('Guestbook', 30, canvas.height / 2);
+    context.fillStyle = '#ffd6e7';
+    context.font = '32px Arial';
+    context.textAlign = 'right';
+    context.fillText(`Press ${key} to leave a message`, canvas.width - 30, canvas.height / 2);
+
+    return new THREE.CanvasTexture(canvas);
+}
+
+function createCardTexture(entry, color) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 512;
+    canvas.height = 400;
+
+    context.fillStyle = color;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Pin
+    context.beginPath();
+    context.arc(canvas.width / 2, 22, 10, 0, Math.PI * 2);
+    context.fillStyle = '#cc3344';
+    context.fill();
+
+    const { lines, fontSize } = fitText(context, entry.message, {
+        maxWidth: canvas.width - 60,
+        maxHeight: canvas.height - 130,
+        maxSize: 48,
+        minSize: 20,
+        font: size => `${size}px 'Segoe UI', Arial`,
+        lineHeight: 1.2,
+        step: 4
+    });
+    context.fillStyle = '#333333';
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    lines.forEach((line, index) => {
+        context.fillText(line, 30, 50 + index * fontSize * 1.2, canvas.width - 60);
+    });
+
+    context.font = "italic bold 30px 'Segoe UI', Arial";
+    context.textAlign = 'right';
+    context.textBaseline = 'bottom';
+    context.fillStyle = '#aa3366';
+    context.fillText(`— ${entry.name}`, canvas.width - 30, canvas.height - 24, canvas.width - 60);
+
+    return new THREE.CanvasTexture(canvas);
+}
+
+function hashOf(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+}
@@ -0,0 +1,290 @@
+// Wall layout engine
+//
+// Spreads any number of artworks over the walls of a room. Walls are walked
+// around the room in order (left, back, right, front) and measured by an
+// "along" distance from each wall's start corner, so the layout can treat
+// the room as one long strip broken up by corners and reserved spans.
+
+const DEFAULT_OPTIONS = {
+    minGap: 1.5,          // Smallest space between two artworks
+    edgeMargin: 1,        // Space kept clear at each corner
+    inset: 0.2,           // Distance artworks hang in front of the wall
+    maxDimension: 5,      // Largest width or height any artwork may have
+    maxHeight: Infinity,  // Tallest artwork that still fits under the ceiling
+    minScale: 0.5,        // Smallest shrink factor before giving up
+    overflow: 'shrink'    // 'shrink' artworks to fit, or 'report' the ones that don't
+};
+
+// Describe the four walls of a room centred on (centerX, centerZ).
+// `direction` runs along the wall, `normal` points into the room and
+// `rotation` is the Y rotation that makes an artwork face the room.
+export function createRoomWalls(width, length, centerX = 0, centerZ = 0) {
+    const halfWidth = width / 2;
+    const halfLength = length / 2;
+
+    return [
+        {
+            name: 'left',
+            length: length,
+            start: { x: centerX - halfWidth, z: centerZ + halfLength },
+            direction: { x: 0, z: -1 },
+            normal: { x: 1, z: 0 },
+            rotation: Math.PI / 2
+        },
+        {
+            name: 'back',
+            length: width,
+            start: { x: centerX - halfWidth, z: centerZ - halfLength },
+            direction: { x: 1, z: 0 },
+            normal: { x: 0, z: 1 },
+            rotation: 0
+        },
+        {
+            name: 'right',
+            length: length,
+            start: { x: centerX + halfWidth, z: centerZ - halfLength },
+            direction: { x: 0, z: 1 },
+            normal: { x: -1, z: 0 },
+            rotation: -Math.PI / 2
+        },
+        {
+            name: 'front',
+            length: width,
+            start: { x: centerX + halfWidth, z: centerZ + halfLength },
+            direction: { x: -1, z: 0 },
+            normal: { x: 0, z: -1 },
+            rotation: Math.PI
+        }
+    ];
+}
+
+// Work out which stretches of each wall are blocked by nearby obstacles.
+// Obstacles are footprints { x, z, halfX, halfZ }; anything closer to a wall
+// than `clearance` blocks the part of the wall it stands in front of.
+export function reservedSpansFromObstacles(walls, obstacles, clearance = 3) {
+    const spans = [];
+
+    walls.forEach(wall => {
+        obstacles.forEach(obstacle => {
+            // Distance from the wall to the near side of the obstacle
+            const centerDistance = (obstacle.x - wall.start.x) * wall.normal.x + (obstacle.z - wall.start.z) * wall.normal.z;
+            const depth = Math.abs(wall.normal.x) * obstacle.halfX + Math.abs(wall.normal.z) * obstacle.halfZ;
+            if (centerDistance - depth > clearance || centerDistance + depth < 0) return;
+
+            // Project the obstacle onto the wall
+            const along = (obstacle.x - wall.start.x) * wall.direction.x + (obstacle.z - wall.start.z) * wall.direction.z;
+            const halfSpan = Math.abs(wall.direction.x) * obstacle.halfX + Math.abs(wall.direction.z) * obstacle.halfZ;
+            spans.push({ wall: wall.name, from: along - halfSpan, to: along + halfSpan });
+        });
+    });
+
+    return spans;
+}
+
+// Lay out artworks on the walls.
+//
+// `items` are { width, height } in display order and may carry a `wall` name
+// (and a `slot` to order artworks on that wall). `reserved` lists spans
+// { wall, from, to } that must stay clear, such as doorways.
+//
+// Returns { placements, overflow, scale }: one placement per hung artwork
+// ({ index, wall, along, x, z, rotation, width, height }), the indices of
+// artworks that didn't fit and the shrink factor that was applied.
+export function layoutArtworks(items, walls, reserved = [], options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const segments = buildSegments(walls, reserved, settings);
+
+    // Keep every artwork within the size limits first
+    const baseSizes = items.map(item => fitWithinLimits(item, settings));
+
+    let scale = 1;
+    let assignment = assign(items, scaleSizes(baseSizes, scale), segments, settings, true);
+
+    if (assignment.overflow.length > 0) {
+        assignment = assign(items, scaleSizes(baseSizes, scale), segments, settings, false);
+    }
+
+    if (assignment.overflow.length > 0 && settings.overflow === 'shrink') {
+        // Find the largest scale at which everything fits
+        let low = settings.minScale;
+        let high = 1;
+        const lowest = assign(items, scaleSizes(baseSizes, low), segments, settings, false);
+
+        if (lowest.overflow.length > 0) {
+            scale = low;
+            assignment = lowest;
+        } else {
+            for (let i = 0; i < 12; i++) {
+                const middle = (low + high) / 2;
+                if (assign(items, scaleSizes(baseSizes, middle), segments, settings, false).overflow.length === 0) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            scale = low;
+            const sizes = scaleSizes(baseSizes, scale);
+            assignment = assign(items, sizes, segments, settings, true);
+            if (assignment.overflow.length > 0) {
+                assignment = assign(items, sizes, segments, settings, false);
+            }
+        }
+    }
+
+    const sizes = scaleSizes(baseSizes, scale);
+    const placements = [];
+
+    // Spread each segment's artworks evenly along it
+    segments.forEach(segment => {
+        const entries = assignment.bySegment.get(segment);
+        if (!entries || entries.length === 0) return;
+
+        const usedWidth = entries.reduce((sum, index) => sum + sizes[index].width, 0);
+        const space = segment.to - segment.from - usedWidth;
+        let gap = space / (entries.length + 1);
+        let along = segment.from + gap;
+        if (gap < settings.minGap && entries.length > 1) {
+            // Too crowded for as much space at the ends: keep the artworks
+            // minGap apart and centre them
+            gap = settings.minGap;
+            along = segment.from + (space - gap * (entries.length - 1)) / 2;
+        }
+
+        entries.forEach(index => {
+            const { width, height } = sizes[index];
+            const center = along + width / 2;
+            const wall = segment.wall;
+            placements.push({
+                index,
+                wall: wall.name,
+                along: center,
+                x: wall.start.x + wall.direction.x * center + wall.normal.x * settings.inset,
+                z: wall.start.z + wall.direction.z * center + wall.normal.z * settings.inset,
+                rotation: wall.rotation,
+                width,
+                height
+            });
+            along += width + gap;
+        });
+    });
+
+    return { placements, overflow: assignment.overflow, scale };
+}
+
+// Split each wall into the clear stretches left between its corners and reserved spans
+function buildSegments(walls, reserved, settings) {
+    const segments = [];
+
+    walls.forEach(wall => {
+        const blocked = reserved
+            .filter(span => span.wall === wall.name)
+            .map(span => ({ from: span.from - settings.minGap / 2, to: span.to + settings.minGap / 2 }))
+            .sort((a, b) => a.from - b.from);
+
+        let from = settings.edgeMargin;
+        const end = wall.length - settings.edgeMargin;
+
+        blocked.forEach(span => {
+            if (span.from > from) {
+                segments.push({ wall, from, to: Math.min(span.from, end) });
+            }
+            from = Math.max(from, span.to);
+        });
+        if (end > from) {
+            segments.push({ wall, from, to: end });
+        }
+    });
+
+    return segments.filter(segment => segment.to - segment.from > 0);
+}
+
+function fitWithinLimits(item, settings) {
+    let { width, height } = item;
+    const largest = Math.max(width, height);
+    if (largest > settings.maxDimension) {
+        width *= settings.maxDimension / largest;
+        height *= settings.maxDimension / largest;
+    }
+    if (height > settings.maxHeight) {
+        width *= settings.maxHeight / height;
+        height = settings.maxHeight;
+    }
+    return { width, height };
+}
+
+function scaleSizes(sizes, scale) {
+    return sizes.map(size => ({ width: size.width * scale, height: size.height * scale }));
+}
+
+// Assign artworks to segments in order. Pinned artworks (with a wall) only
+// use that wall's segments. When `spread` is set each segment only takes its
+// share of the free artworks so they end up spread around the whole room;
+// otherwise segments are packed as tightly as possible.
+function assign(items, sizes, segments, settings, spread) {
+    const bySegment = new Map(segments.map(segment => [segment, []]));
+    const used = new Map(segments.map(segment => [segment, 0]));
+    const overflow = [];
+
+    const fits = (segment, width) => {
+        const count = bySegment.get(segment).length;
+        return used.get(segment) + width + count * settings.minGap <= segment.to - segment.from;
+    };
+    const place = (segment, index) => {
+        bySegment.get(segment).push(index);
+        used.set(segment, used.get(segment) + sizes[index].width);
+    };
+
+    // Pinned artworks, ordered by slot within each wall
+    const pinned = items
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => item.wall !== undefined)
+        .sort((a, b) => (a.item.slot ?? Infinity) - (b.item.slot ?? Infinity));
+
+    pinned.forEach(({ item, index }) => {
+        const segment = segments.find(candidate => candidate.wall.name === item.wall && fits(candidate, sizes[index].width));
+        if (segment) {
+            place(segment, index);
+        } else {
+            overflow.push(index);
+        }
+    });
+
+    // Free artworks walk around the room
+    const free = items
+        .map((item, index) => index)
+        .filter(index => items[index].wall === undefined);
+
+    const freeDemand = free.reduce((sum, index) => sum + sizes[index].width + settings.minGap, 0);
+    const freeCapacity = segments.reduce((sum, segment) => sum + segment.to - segment.from - used.get(segment), 0);
+    const shares = new Map(segments.map(segment => [
+        segment,
+        (segment.to - segment.from - used.get(segment)) / freeCapacity * freeDemand
+    ]));
+    let segmentIndex = 0;
+    let taken = 0;
+
+    free.forEach(index => {
+        const width = sizes[index].width;
+
+        while (segmentIndex < segments.length) {
+            const segment = segments[segmentIndex];
+            const share = shares.get(segment);
+            const isLast = segmentIndex === segments.length - 1;
+
+            if (fits(segment, width) && (!spread || isLast || taken + (width + settings.minGap) / 2 <= share)) {
+                break;
+            }
+            segmentIndex++;
+            taken = 0;
+        }
+
+        if (segmentIndex < segments.length) {
+            place(segments[segmentIndex], index);
+            taken += width + settings.minGap;
+        } else {
+            overflow.push(index);
+        }
+    });
+
+    return { bySegment, overflow: overflow.sort((a, b) => a - b) };
+}
@@ -0,0 +1,15 @@
+// Turning the camera by hand (touch drags, gamepad sticks) the way
+// PointerLockControls turns it for the mouse
+
+import * as THREE from 'three';
+
+const MAX_PITCH = Math.PI / 2 - 0.05;
+const euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+// Turn left by `yaw` and up by `pitch` radians, never past straight up or down
+export function turnCamera(camera, yaw, pitch) {
+    euler.setFromQuaternion(camera.quaternion, 'YXZ');
+    euler.y += yaw;
+    euler.x = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, euler.x + pitch));
+    camera.quaternion.setFromEuler(euler);
+}
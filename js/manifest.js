@@ -0,0 +1,440 @@
+// Exhibit manifest loading and validation
+//
+// A manifest is a JSON file describing the artworks in the museum:
+//
+// {
+//     "title": "Our Special Moments",
+//     "theme": "birthday",                         // optional: see THEMES in themes.js
+//     "personalization": {                         // optional: see personalization.js
+//         "recipient": "Kylie", "age": 23, "signOff": "Forever yours ❤️"
+//     },
+//     "music": ["audio/song1.mp3"],                // optional background playlist
+//     "ambient": "audio/room.mp3",                 // optional ambient loop
+//     "tour": {                                    // optional guided tour settings
+//         "order": "chronological",                // manifest (default), chronological or wall
+//         "stopSeconds": 8,                        // how long to stay at each artwork
+//         "playAudio": true                        // play voice notes at each stop
+//     },
+//     "rooms": [                                   // optional, one room when left out
+//         { "id": "2024", "width": 50, "length": 30, "x": 0, "z": 0 },
+//         { "id": "2025", "width": 30, "length": 30, "x": 40, "z": 0 }
+//     ],
+//     "doorways": [                                // optional, between rooms sharing a wall
+//         { "from": "2024", "to": "2025", "offset": 0, "width": 4 }
+//     ],
+//     "artworks": [
+//         {
+//             "image": "images/img1.jpg",          // required, relative path to an image or video
+//             "title": "3-1-25",                   // required
+//             "description": "We are going to...", // required
+//             "date": "2025-03-01",                // optional: for the chronological tour
+//             "alt": "Us on the beach at sunset",  // optional: what the picture shows, for screen readers
+//             "room": "2024",                      // optional: defaults to the first room
+//             "wall": "left",                      // optional: left, right, back or front
+//             "slot": 0,                           // optional: order on that wall
+//             "frame": "gold",                     // optional: see FRAME_STYLES in main.js
+//             "hash": "9f86d0...",                 // set by the curator: the image's SHA-256, to spot duplicates
+//             "uploaded": true,                    // set by the curator: the image was uploaded, and goes when the artwork does
+//             "media": [                           // optional: audio plays as a voice note
+//                 { "type": "audio", "src": "audio/voice1.mp3" }
+//             ]
+//         }
+//     ]
+// }
+
+import { findFloorPlanProblems } from './floorplan.js';
+import { THEME_NAMES } from './themes.js';
+import { PERSONALIZATION_LIMITS, MAX_AGE, cleanText } from './personalization.js';
+import { ARTWORK_ORDERS } from './artwork-order.js';
+
+export const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+export const VIDEO_EXTENSIONS = ['mp4', 'webm'];
+// Image types that may hold an animation
+export const ANIMATED_IMAGE_EXTENSIONS = ['gif', 'webp'];
+export const MEDIA_EXTENSIONS = {
+    audio: ['mp3', 'ogg', 'wav', 'm4a'],
+    video: VIDEO_EXTENSIONS
+};
+export const WALLS = ['left', 'right', 'back', 'front'];
+
+// Give up on the manifest or the exhibit listing after this many milliseconds
+const FETCH_TIMEOUT = 15000;
+export const FRAME_STYLE_NAMES = ['classic', 'gold', 'wood', 'none'];
+export const DEFAULT_TOUR = { order: 'manifest', stopSeconds: 8, playAudio: true };
+const MAX_TOUR_STOP_SECONDS = 120;
+
+// Thrown when a manifest can't be used; `problems` lists every issue found
+// and `missing` is set when there is no manifest at all
+export class ManifestError extends Error {
+    constructor(message, problems = [], missing = false) {
+        super(problems.length ? `${message}\n - ${problems.join('\n - ')}` : message);
+        this.name = 'ManifestError';
+        this.problems = problems;
+        this.missing = missing;
+    }
+}
+
+// Fetch and validate a manifest. Resolves with the normalized manifest.
+export async function loadManifest(url) {
+    let response;
+    try {
+        response = await fetch(url, { cache: 'no-cache', signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+    } catch (error) {
+        throw new ManifestError(`Could not fetch exhibit manifest ${url}: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new ManifestError(`Could not fetch exhibit manifest ${url} (HTTP ${response.status})`, [], response.status === 404);
+    }
+
+    let data;
+    try {
+        data = await response.json();
+    } catch (error) {
+        throw new ManifestError(`Exhibit manifest ${url} is not valid JSON: ${error.message}`);
+    }
+
+    return validateManifest(data);
+}
+
+// Check a parsed manifest and fill in defaults
+export function validateManifest(data) {
+    const problems = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ManifestError('Exhibit manifest must be a JSON object');
+    }
+    if (!Array.isArray(data.artworks)) {
+        throw new ManifestError('Exhibit manifest needs an "artworks" array');
+    }
+    if (data.title !== undefined && typeof data.title !== 'string') {
+        problems.push('"title" must be a string');
+    }
+
+    if (data.theme !== undefined && !THEME_NAMES.includes(data.theme)) {
+        problems.push(`"theme" must be one of ${THEME_NAMES.join(', ')}`);
+    }
+
+    const personalization = validatePersonalization(data.personalization, problems);
+    const music = validateMusic(data.music, problems);
+    if (data.ambient !== undefined) {
+        const ambientProblem = checkPath(data.ambient, MEDIA_EXTENSIONS.audio);
+        if (ambientProblem) {
+            problems.push(`"ambient" ${ambientProblem}`);
+        }
+    }
+
+    const tour = validateTour(data.tour, problems);
+
+    const rooms = validateRooms(data.rooms, problems);
+    const doorways = validateDoorways(data.doorways, problems);
+    if (problems.length === 0) {
+        problems.push(...findFloorPlanProblems(rooms, doorways));
+    }
+
+    const roomIds = rooms.filter(Boolean).map(room => room.id);
+    const artworks = data.artworks.map((entry, index) => validateArtwork(entry, index, roomIds, problems));
+
+    if (problems.length > 0) {
+        throw new ManifestError('Invalid exhibit manifest', problems);
+    }
+
+    return {
+        title: data.title,
+        theme: data.theme,
+        personalization,
+        music,
+        ambient: data.ambient || null,
+        tour,
+        rooms,
+        doorways,
+        artworks
+    };
+}
+
+function validatePersonalization(personalization, problems) {
+    if (personalization === undefined) return {};
+    if (!personalization || typeof personalization !== 'object' || Array.isArray(personalization)) {
+        problems.push('"personalization" must be an object');
+        return {};
+    }
+
+    const result = {};
+    Object.entries(PERSONALIZATION_LIMITS).forEach(([field, limit]) => {
+        const value = personalization[field];
+        if (value === undefined) return;
+        if (typeof value !== 'string' || cleanText(value) === '') {
+            problems.push(`personalization.${field} must be some text`);
+        } else if (cleanText(value).length > limit) {
+            problems.push(`personalization.${field} must be at most ${limit} characters`);
+        } else {
+            result[field] = cleanText(value);
+        }
+    });
+
+    if (personalization.age !== undefined) {
+        if (!Number.isInteger(personalization.age) || personalization.age < 1 || personalization.age > MAX_AGE) {
+            problems.push(`personalization.age must be a whole number from 1 to ${MAX_AGE}`);
+        } else {
+            result.age = personalization.age;
+        }
+    }
+
+    return result;
+}
+
+function validateMusic(music, problems) {
+    if (music === undefined) return [];
+    if (!Array.isArray(music)) {
+        problems.push('"music" must be an array of audio files');
+        return [];
+    }
+
+    music.forEach((track, index) => {
+        const trackProblem = checkPath(track, MEDIA_EXTENSIONS.audio);
+        if (trackProblem) {
+            problems.push(`music[${index}] ${trackProblem}`);
+        }
+    });
+    return music;
+}
+
+function validateTour(tour, problems) {
+    if (tour === undefined) return { ...DEFAULT_TOUR };
+    if (!tour || typeof tour !== 'object' || Array.isArray(tour)) {
+        problems.push('"tour" must be an object');
+        return { ...DEFAULT_TOUR };
+    }
+
+    if (tour.order !== undefined && !ARTWORK_ORDERS.includes(tour.order)) {
+        problems.push(`tour.order must be one of ${ARTWORK_ORDERS.join(', ')}`);
+    }
+    if (tour.stopSeconds !== undefined &&
+        (typeof tour.stopSeconds !== 'number' || !(tour.stopSeconds >= 1 && tour.stopSeconds <= MAX_TOUR_STOP_SECONDS))) {
+        problems.push(`tour.stopSeconds must be a number from 1 to ${MAX_TOUR_STOP_SECONDS}`);
+    }
+    if (tour.playAudio !== undefined && typeof tour.playAudio !== 'boolean') {
+        problems.push('tour.playAudio must be true or false');
+    }
+
+    return {
+        order: tour.order ?? DEFAULT_TOUR.order,
+        stopSeconds: tour.stopSeconds ?? DEFAULT_TOUR.stopSeconds,
+        playAudio: tour.playAudio ?? DEFAULT_TOUR.playAudio
+    };
+}
+
+function validateRooms(rooms, problems) {
+    if (rooms === undefined) return [];
+    if (!Array.isArray(rooms)) {
+        problems.push('"rooms" must be an array');
+        return [];
+    }
+
+    return rooms.map((room, index) => {
+        const label = `rooms[${index}]`;
+        if (!room || typeof room !== 'object') {
+            problems.push(`${label} must be an object`);
+            return null;
+        }
+        if (typeof room.id !== 'string' || room.id.trim() === '') {
+            problems.push(`${label}.id is missing`);
+        }
+        ['width', 'length'].forEach(field => {
+            if (typeof room[field] !== 'number' || !(room[field] >= 10)) {
+                problems.push(`${label}.${field} must be a number of at least 10`);
+            }
+        });
+        ['x', 'z'].forEach(field => {
+            if (room[field] !== undefined && !Number.isFinite(room[field])) {
+                problems.push(`${label}.${field} must be a number`);
+            }
+        });
+        return {
+            id: room.id,
+            title: typeof room.title === 'string' ? room.title : room.id,
+            width: room.width,
+            length: room.length,
+            x: room.x || 0,
+            z: room.z || 0
+        };
+    });
+}
+
+function validateDoorways(doorways, problems) {
+    if (doorways === undefined) return [];
+    if (!Array.isArray(doorways)) {
+        problems.push('"doorways" must be an array');
+        return [];
+    }
+
+    return doorways.map((doorway, index) => {
+        const label = `doorways[${index}]`;
+        if (!doorway || typeof doorway !== 'object') {
+            problems.push(`${label} must be an object`);
+            return null;
+        }
+        ['from', 'to'].forEach(field => {
+            if (typeof doorway[field] !== 'string') {
+                problems.push(`${label}.${field} must name a room`);
+            }
+        });
+        ['offset', 'width', 'height'].forEach(field => {
+            if (doorway[field] !== undefined && !Number.isFinite(doorway[field])) {
+                problems.push(`${label}.${field} must be a number`);
+            }
+        });
+        return {
+            from: doorway.from,
+            to: doorway.to,
+            offset: doorway.offset,
+            width: doorway.width,
+            height: doorway.height
+        };
+    });
+}
+
+function validateArtwork(entry, index, roomIds, problems) {
+    const label = `artworks[${index}]`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        problems.push(`${label} must be an object`);
+        return null;
+    }
+
+    const pathProblem = checkPath(entry.image, IMAGE_EXTENSIONS.concat(VIDEO_EXTENSIONS));
+    if (pathProblem) {
+        problems.push(`${label}.image ${pathProblem}`);
+    }
+
+    ['title', 'description'].forEach(field => {
+        if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+            problems.push(`${label}.${field} is missing`);
+        }
+    });
+
+    if (entry.date !== undefined && !isCalendarDate(entry.date)) {
+        problems.push(`${label}.date must be a date written YYYY-MM-DD`);
+    }
+    if (entry.alt !== undefined && (typeof entry.alt !== 'string' || entry.alt.trim() === '')) {
+        problems.push(`${label}.alt must be text describing the picture`);
+    }
+    if (entry.room !== undefined && !roomIds.includes(entry.room)) {
+        problems.push(roomIds.length
+            ? `${label}.room must be one of ${roomIds.join(', ')}`
+            : `${label}.room is set but the manifest has no "rooms"`);
+    }
+    if (entry.wall !== undefined && !WALLS.includes(entry.wall)) {
+        problems.push(`${label}.wall must be one of ${WALLS.join(', ')}`);
+    }
+    if (entry.slot !== undefined) {
+        if (entry.wall === undefined) {
+            problems.push(`${label}.slot needs a "wall" as well`);
+        }
+        if (!Number.isInteger(entry.slot) || entry.slot < 0) {
+            problems.push(`${label}.slot must be a whole number of 0 or more`);
+        }
+    }
+    if (entry.frame !== undefined && !FRAME_STYLE_NAMES.includes(entry.frame)) {
+        problems.push(`${label}.frame must be one of ${FRAME_STYLE_NAMES.join(', ')}`);
+    }
+
+    let media = [];
+    if (entry.media !== undefined) {
+        if (!Array.isArray(entry.media)) {
+            problems.push(`${label}.media must be an array`);
+        } else {
+            media = entry.media.map((item, mediaIndex) => {
+                const mediaLabel = `${label}.media[${mediaIndex}]`;
+                if (!item || !MEDIA_EXTENSIONS[item.type]) {
+                    problems.push(`${mediaLabel}.type must be one of ${Object.keys(MEDIA_EXTENSIONS).join(', ')}`);
+                    return null;
+                }
+                const mediaProblem = checkPath(item.src, MEDIA_EXTENSIONS[item.type]);
+                if (mediaProblem) {
+                    problems.push(`${mediaLabel}.src ${mediaProblem}`);
+                }
+                return { type: item.type, src: item.src };
+            });
+        }
+    }
+
+    return {
+        image: entry.image,
+        title: entry.title,
+        description: entry.description,
+        date: entry.date,
+        alt: entry.alt,
+        room: entry.room,
+        wall: entry.wall,
+        slot: entry.slot,
+        frame: entry.frame || 'classic',
+        media
+    };
+}
+
+// How an artwork file is shown: 'video', 'animated' (a GIF or WebP that may
+// move) or 'image'
+export function getArtworkKind(path) {
+    const extension = path.split('?')[0].split('.').pop().toLowerCase();
+    if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+    if (ANIMATED_IMAGE_EXTENSIONS.includes(extension)) return 'animated';
+    return 'image';
+}
+
+// Ask the server which images are in the images folder and turn them into
+// artworks, using sidecar captions where there are any
+export async function loadDiscoveredArtworks(url) {
+    const response = await fetch(url, { cache: 'no-cache', signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+    if (!response.ok) {
+        throw new Error(`Could not list exhibits from ${url} (HTTP ${response.status})`);
+    }
+
+    const { exhibits } = await response.json();
+    return exhibits.map(exhibit => {
+        const caption = exhibit.caption || {};
+        return {
+            image: exhibit.path,
+            title: caption.title || exhibit.filename.replace(/\.[^.]+$/, ''),
+            description: caption.description || '',
+            date: undefined,
+            alt: caption.alt,
+            room: undefined,
+            wall: undefined,
+            slot: undefined,
+            frame: 'classic',
+            media: []
+        };
+    });
+}
+
+// Combine curated and discovered artworks: everything in the manifest keeps
+// its place and any image it doesn't mention is added at the end
+export function mergeArtworks(manifestArtworks, discoveredArtworks) {
+    const normalize = path => path.replace(/^\.\//, '');
+    const listed = new Set(manifestArtworks.map(artwork => normalize(artwork.image)));
+    return manifestArtworks.concat(discoveredArtworks.filter(artwork => !listed.has(normalize(artwork.image))));
+}
+
+function isCalendarDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// Returns a description of what's wrong with a path, or null if it's usable
+function checkPath(path, extensions) {
+    if (typeof path !== 'string' || path.trim() === '') {
+        return 'is missing';
+    }
+    if (/^[a-z][a-z0-9+.-]*:/i.test(path) || path.startsWith('/') || path.startsWith('\\')) {
+        return `"${path}" must be a relative path`;
+    }
+    if (path.split(/[\\/]/).includes('..')) {
+        return `"${path}" must not point outside the museum folder`;
+    }
+    const extension = path.split('.').pop().toLowerCase();
+    if (!extensions.includes(extension)) {
+        return `"${path}" must end in ${extensions.map(ext => '.' + ext).join(', ')}`;
+    }
+    return null;
+}
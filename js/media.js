@@ -0,0 +1,197 @@
+// Moving artworks: video clips and animated GIF/WebP images
+//
+// Each loader resolves with { texture, width, height, player }. A player
+// has play(), pause(), update(now) and, for clips with sound, setMuted().
+
+import * as THREE from 'three';
+
+// Start playing a video file on a texture. `manager` is the loading manager
+// that tracks progress on the loading screen; aborting `signal` stops the
+// download and rejects.
+export function loadVideoTexture(path, manager, signal) {
+    return new Promise((resolve, reject) => {
+        const video = document.createElement('video');
+        video.src = path;
+        video.crossOrigin = 'anonymous';
+        video.loop = true;
+        // Browsers only allow muted videos to start without a click
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+
+        manager.itemStart(path);
+
+        const onLoaded = () => {
+            signal?.removeEventListener('abort', onAbort);
+            manager.itemEnd(path);
+            resolve({
+                texture: new THREE.VideoTexture(video),
+                width: video.videoWidth,
+                height: video.videoHeight,
+                player: createVideoPlayer(video)
+            });
+        };
+        const onError = () => {
+            signal?.removeEventListener('abort', onAbort);
+            manager.itemError(path);
+            manager.itemEnd(path);
+            reject(new Error(`Could not load video ${path}`));
+        };
+        const onAbort = () => {
+            video.removeEventListener('loadeddata', onLoaded);
+            video.removeEventListener('error', onError);
+            // Emptying the source is the only way to make a video stop downloading
+            video.removeAttribute('src');
+            video.load();
+            manager.itemEnd(path);
+            reject(signal.reason);
+        };
+
+        video.addEventListener('loadeddata', onLoaded, { once: true });
+        video.addEventListener('error', onError, { once: true });
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        video.load();
+    });
+}
+
+// Decode an animated GIF or WebP frame by frame onto a canvas texture.
+// Resolves with null when the image isn't animated or the browser can't
+// decode it, so the caller can fall back to a still texture. Aborting
+// `signal` cancels the download and closes the decoder.
+export async function loadAnimatedTexture(path, manager, signal) {
+    if (typeof ImageDecoder === 'undefined') {
+        return null;
+    }
+
+    manager.itemStart(path);
+    let decoder = null;
+    // Closing the decoder rejects whatever it's in the middle of decoding
+    const onAbort = () => decoder?.close();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+        const response = await fetch(path, { signal });
+        if (!response.ok) {
+            throw new Error(`Could not load ${path} (HTTP ${response.status})`);
+        }
+
+        const extension = path.split('?')[0].split('.').pop().toLowerCase();
+        const type = extension === 'gif' ? 'image/gif' : 'image/webp';
+        if (!(await ImageDecoder.isTypeSupported(type))) {
+            return null;
+        }
+
+        decoder = new ImageDecoder({ data: await response.arrayBuffer(), type });
+        await decoder.tracks.ready;
+        const track = decoder.tracks.selectedTrack;
+        if (!track || !track.animated || track.frameCount <= 1) {
+            decoder.close();
+            return null;
+        }
+
+        const { image: firstFrame } = await decoder.decode({ frameIndex: 0 });
+        const canvas = document.createElement('canvas');
+        canvas.width = firstFrame.displayWidth;
+        canvas.height = firstFrame.displayHeight;
+        const context = canvas.getContext('2d');
+        context.drawImage(firstFrame, 0, 0);
+        const firstFrameDuration = firstFrame.duration;
+        firstFrame.close();
+
+        const texture = new THREE.CanvasTexture(canvas);
+        return {
+            texture,
+            width: canvas.width,
+            height: canvas.height,
+            player: createAnimatedImagePlayer(decoder, track.frameCount, context, texture, firstFrameDuration)
+        };
+    } catch (error) {
+        decoder?.close();
+        if (!signal?.aborted) {
+            manager.itemError(path);
+        }
+        throw error;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+        manager.itemEnd(path);
+    }
+}
+
+function createVideoPlayer(video) {
+    return {
+        hasSound: true,
+        get paused() {
+            return video.paused;
+        },
+        get muted() {
+            return video.muted;
+        },
+        play() {
+            if (video.paused) {
+                video.play().catch(error => console.warn('Video could not start playing:', error.message));
+            }
+        },
+        pause() {
+            if (!video.paused) {
+                video.pause();
+            }
+        },
+        setMuted(muted) {
+            video.muted = muted;
+        },
+        update() {
+            // VideoTexture refreshes itself as frames arrive
+        }
+    };
+}
+
+function createAnimatedImagePlayer(decoder, frameCount, context, texture, firstFrameDuration) {
+    let paused = true;
+    let decoding = false;
+    let frameIndex = 1;
+    let nextFrameAt = 0;
+    // Frame durations are in microseconds; some files leave them out
+    const frameTime = duration => (duration ? duration / 1000 : 100);
+    let currentFrameTime = frameTime(firstFrameDuration);
+
+    return {
+        hasSound: false,
+        get paused() {
+            return paused;
+        },
+        get muted() {
+            return true;
+        },
+        play() {
+            if (paused) {
+                paused = false;
+                nextFrameAt = performance.now() + currentFrameTime;
+            }
+        },
+        pause() {
+            paused = true;
+        },
+        setMuted() {},
+        update(now) {
+            if (paused || decoding || now < nextFrameAt) return;
+
+            decoding = true;
+            decoder.decode({ frameIndex })
+                .then(({ image }) => {
+                    context.drawImage(image, 0, 0);
+                    texture.needsUpdate = true;
+                    currentFrameTime = frameTime(image.duration);
+                    image.close();
+                    nextFrameAt = performance.now() + currentFrameTime;
+                    frameIndex = (frameIndex + 1) % frameCount;
+                })
+                .catch(error => {
+                    console.warn('Animated image stopped:', error.message);
+                    paused = true;
+                })
+                .finally(() => {
+                    decoding = false;
+                });
+        }
+    };
+}
@@ -0,0 +1,141 @@
+// A map of the museum seen from above: rooms and doorways, furniture, the
+// artworks and where the visitor stands and faces
+//
+// The back walls (-z) are at the top and the left walls (-x) on the left.
+// Artworks the visitor has already seen get a grey marker instead of a pink
+// one, so it's easy to spot what's left.
+
+const PADDING = 10; // CSS pixels around the floor plan
+const FLOOR_COLOR = '#2b2b2b';
+const WALL_COLOR = '#ffffff';
+const FURNITURE_COLOR = '#777777';
+const UNVIEWED_COLOR = '#ff69b4';
+const VIEWED_COLOR = '#9e9e9e';
+const VISITOR_COLOR = '#ffd700';
+
+// `markerRadius` is the size of an artwork marker in CSS pixels
+export function createMapView(canvas, { markerRadius = 4 } = {}) {
+    const context = canvas.getContext('2d');
+    let transform = null; // How the last drawing mapped the museum onto the canvas
+
+    function toCanvas(x, z) {
+        return [
+            transform.offsetX + (x - transform.minX) * transform.scale,
+            transform.offsetY + (z - transform.minZ) * transform.scale
+        ];
+    }
+
+    return {
+        // Draw the museum. `colliders` are the collision world's boxes,
+        // `isViewed(artwork)` says whether an artwork has been seen, and
+        // `direction` is the way the visitor faces ({ x, z }).
+        draw({ plan, colliders, artworks, isViewed, position, direction }) {
+            // Follow the canvas's size on the page, at full resolution
+            const ratio = window.devicePixelRatio || 1;
+            const width = Math.round(canvas.clientWidth * ratio);
+            const height = Math.round(canvas.clientHeight * ratio);
+            if (width === 0 || height === 0) return;
+            if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+            }
+
+            const { minX, maxX, minZ, maxZ } = plan.bounds;
+            const padding = PADDING * ratio;
+            const scale = Math.min((width - padding * 2) / (maxX - minX), (height - padding * 2) / (maxZ - minZ));
+            transform = {
+                minX,
+                minZ,
+                scale,
+                ratio,
+                offsetX: (width - (maxX - minX) * scale) / 2,
+                offsetY: (height - (maxZ - minZ) * scale) / 2
+            };
+
+            context.clearRect(0, 0, width, height);
+
+            // Rooms, then doorways cut out of their walls
+            context.lineWidth = 2 * ratio;
+            plan.rooms.forEach(room => {
+                const [left, top] = toCanvas(room.minX, room.minZ);
+                const [right, bottom] = toCanvas(room.maxX, room.maxZ);
+                context.fillStyle = FLOOR_COLOR;
+                context.fillRect(left, top, right - left, bottom - top);
+                context.strokeStyle = WALL_COLOR;
+                context.strokeRect(left, top, right - left, bottom - top);
+            });
+            context.strokeStyle = FLOOR_COLOR;
+            context.lineWidth = 3 * ratio;
+            plan.doorways.forEach(doorway => {
+                const halfWidth = doorway.width / 2;
+                const ends = doorway.axis === 'x'
+                    ? [toCanvas(doorway.at, doorway.center - halfWidth), toCanvas(doorway.at, doorway.center + halfWidth)]
+                    : [toCanvas(doorway.center - halfWidth, doorway.at), toCanvas(doorway.center + halfWidth, doorway.at)];
+                context.beginPath();
+                context.moveTo(...ends[0]);
+                context.lineTo(...ends[1]);
+                context.stroke();
+            });
+
+            // Furniture, turned the way it stands. The walls are drawn already.
+            context.fillStyle = FURNITURE_COLOR;
+            colliders.forEach(collider => {
+                if (collider.type === 'wall') return;
+                const [x, y] = toCanvas(collider.x, collider.z);
+                context.save();
+                context.translate(x, y);
+                context.rotate(-collider.rotation);
+                context.fillRect(-collider.halfX * scale, -collider.halfZ * scale, collider.halfX * 2 * scale,
+                    collider.halfZ * 2 * scale);
+                context.restore();
+            });
+
+            artworks.forEach(artwork => {
+                const [x, y] = toCanvas(artwork.group.position.x, artwork.group.position.z);
+                context.fillStyle = isViewed(artwork) ? VIEWED_COLOR : UNVIEWED_COLOR;
+                context.beginPath();
+                context.arc(x, y, markerRadius * ratio, 0, Math.PI * 2);
+                context.fill();
+            });
+
+            // The visitor, as an arrow pointing the way they face
+            const [x, y] = toCanvas(position.x, position.z);
+            const angle = Math.atan2(direction.z, direction.x);
+            const size = 7 * ratio;
+            context.save();
+            context.translate(x, y);
+            context.rotate(angle);
+            context.fillStyle = VISITOR_COLOR;
+            context.beginPath();
+            context.moveTo(size, 0);
+            context.lineTo(-size * 0.7, size * 0.6);
+            context.lineTo(-size * 0.4, 0);
+            context.lineTo(-size * 0.7, -size * 0.6);
+            context.closePath();
+            context.fill();
+            context.restore();
+        },
+        // The artwork whose marker is under the point (clientX, clientY) on
+        // the page, or null
+        artworkAt(artworks, clientX, clientY) {
+            if (!transform) return null;
+            const bounds = canvas.getBoundingClientRect();
+            const x = (clientX - bounds.left) * transform.ratio;
+            const y = (clientY - bounds.top) * transform.ratio;
+            // Markers are small, so clicks a little way off still count
+            const reach = markerRadius * transform.ratio * 2.5;
+
+            let closest = null;
+            let closestDistance = reach;
+            artworks.forEach(artwork => {
+                const [markerX, markerY] = toCanvas(artwork.group.position.x, artwork.group.position.z);
+                const distance = Math.hypot(markerX - x, markerY - y);
+                if (distance < closestDistance) {
+                    closest = artwork;
+                    closestDistance = distance;
+                }
+            });
+            return closest;
+        }
+    };
+}
@@ -0,0 +1,51 @@
+// Personalization: who the museum is for
+//
+// Values come from "personalization" in the exhibit manifest and can be
+// overridden by page address parameters of the same name, e.g.
+// ?recipient=Kylie&age=23&signOff=Love%20always
+//
+//     recipient  name used in the sign, loading screen and letter greeting
+//     age        number used in the sign ("23rd"); years together for anniversaries
+//     greeting   replaces the letter's opening line ("My dearest Kylie,")
+//     signOff    replaces the letter's closing line ("Forever yours ❤️")
+//     signText   replaces the ceiling sign's message
+//
+// The text only ever reaches the page through textContent and canvas text,
+// so it can't inject markup, but since anyone can edit a link it's still
+// tidied up and cut to a sensible length.
+
+// Longest allowed text for each field
+export const PERSONALIZATION_LIMITS = {
+    recipient: 60,
+    greeting: 120,
+    signOff: 120,
+    signText: 80
+};
+export const MAX_AGE = 150;
+
+// Collapse whitespace and drop control characters
+export function cleanText(value) {
+    return value.replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Combine the manifest's values with any from the page address. Unusable
+// address values are ignored rather than reported, and long ones are cut short.
+export function readPersonalization(fromManifest, searchParams) {
+    const personalization = { ...fromManifest };
+
+    Object.entries(PERSONALIZATION_LIMITS).forEach(([field, limit]) => {
+        const value = searchParams.get(field);
+        if (value === null) return;
+        const cleaned = cleanText(value).slice(0, limit);
+        if (cleaned) {
+            personalization[field] = cleaned;
+        }
+    });
+
+    const age = searchParams.get('age');
+    if (age !== null && /^\d+$/.test(age.trim()) && Number(age) >= 1 && Number(age) <= MAX_AGE) {
+        personalization.age = Number(age);
+    }
+
+    return personalization;
+}
@@ -0,0 +1,58 @@
+// Finding the artwork the visitor is pointing at, and marking it
+//
+// A ray from the camera through a point on screen (the crosshair, or the
+// mouse when the pointer is free) picks the first artwork it hits. Walls
+// and anything else passed as occluders stop the ray, so artworks in the
+// next room can't be picked through the wall.
+
+import * as THREE from 'three';
+
+const PICK_DISTANCE = 15; // Artworks further away than this aren't picked
+const HIGHLIGHT_COLOR = 0xff69b4;
+const HIGHLIGHT_INTENSITY = 0.4;
+const LAMP_BOOST = 1.8; // Picture lamps shine this much brighter on a picked artwork
+
+export const SCREEN_CENTER = new THREE.Vector2(0, 0);
+
+export function createArtworkPicker(camera) {
+    const raycaster = new THREE.Raycaster();
+    raycaster.far = PICK_DISTANCE;
+
+    return {
+        // The artwork at `screenPoint` (normalized device coordinates, so
+        // SCREEN_CENTER is the crosshair), or null
+        pick(artworks, occluders, screenPoint) {
+            raycaster.setFromCamera(screenPoint, camera);
+            const hit = raycaster.intersectObjects(artworks.map(artwork => artwork.group).concat(occluders), true)[0];
+            if (!hit) return null;
+
+            return artworkForObject(hit.object, artworks);
+        }
+    };
+}
+
+// The artwork a mesh belongs to (the picture, its frame or its lamp), or null
+export function artworkForObject(object, artworks) {
+    for (; object; object = object.parent) {
+        const artwork = artworks.find(candidate => candidate.group === object);
+        if (artwork) return artwork;
+    }
+    return null;
+}
+
+// Make an artwork's frame glow and its picture lamp shine brighter, or put
+// them back. `artwork.frame` is the frame group and `artwork.lamp` the
+// lamp's spotlight.
+export function setArtworkHighlight(artwork, highlighted) {
+    artwork.frame.traverse(object => {
+        if (object.isMesh) {
+            object.material.emissive.set(highlighted ? HIGHLIGHT_COLOR : 0x000000);
+            object.material.emissiveIntensity = highlighted ? HIGHLIGHT_INTENSITY : 1;
+        }
+    });
+
+    if (artwork.lamp.userData.baseIntensity === undefined) {
+        artwork.lamp.userData.baseIntensity = artwork.lamp.intensity;
+    }
+    artwork.lamp.intensity = artwork.lamp.userData.baseIntensity * (highlighted ? LAMP_BOOST : 1);
+}
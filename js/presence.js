@@ -0,0 +1,94 @@
+// Sharing the museum with other visitors
+//
+// Connects to the server's presence socket (see lib/presence.js) and passes
+// what other visitors do to the handlers given. Reconnects by itself if the
+// connection drops.
+
+const RECONNECT_DELAY = 3000;
+
+// `handlers` may have onWelcome({ id, host, visitors }), onJoin(visitor),
+// onMove(id, position, rotation), onZoom(id, artwork), onUnzoom(id),
+// onLeave(id) and onDisconnect().
+export function connectPresence(url, { name, host }, handlers) {
+    let socket = null;
+    let closed = false;
+
+    function connect() {
+        socket = new WebSocket(url);
+
+        socket.addEventListener('open', () => {
+            socket.send(JSON.stringify({ type: 'hello', name, host }));
+        });
+
+        socket.addEventListener('message', event => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+
+            switch (message.type) {
+                case 'welcome':
+                    handlers.onWelcome?.(message);
+                    break;
+                case 'join':
+                    handlers.onJoin?.(message.visitor);
+                    break;
+                case 'move':
+                    handlers.onMove?.(message.id, message.position, message.rotation);
+                    break;
+                case 'zoom':
+                    handlers.onZoom?.(message.id, message.artwork);
+                    break;
+                case 'unzoom':
+                    handlers.onUnzoom?.(message.id);
+                    break;
+                case 'leave':
+                    handlers.onLeave?.(message.id);
+                    break;
+            }
+        });
+
+        socket.addEventListener('close', () => {
+            handlers.onDisconnect?.();
+            if (!closed) {
+                setTimeout(connect, RECONNECT_DELAY);
+            }
+        });
+    }
+
+    function send(message) {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    connect();
+
+    return {
+        sendMove(position, rotation) {
+            send({ type: 'move', position, rotation });
+        },
+        // Only the host's zooms are passed on to the others
+        sendZoom(artwork) {
+            send({ type: 'zoom', artwork });
+        },
+        sendUnzoom() {
+            send({ type: 'unzoom' });
+        },
+        close() {
+            closed = true;
+            socket.close();
+        }
+    };
+}
+
+// The presence address for the museum this page shows
+export function presenceUrl(location) {
+    const url = new URL('api/presence', location.href);
+    url.protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    url.search = '';
+    url.hash = '';
+    return url.href;
+}
@@ -0,0 +1,141 @@
+// The visitor's own settings: which keys do what, how quickly they look
+// around and walk, their field of view and eye height, how far a controller
+// stick has to move before it counts, whether they can jump, and the
+// accessibility options. Saved in localStorage so they survive a reload.
+//
+// Keys are stored as `event.code` values, which name the physical key, so
+// a binding stays on the same key whatever the keyboard layout.
+
+const STORAGE_KEY = 'museum-settings';
+
+// Actions a key can be bound to, in the order the settings panel lists them.
+// Escape isn't among them: it always closes whatever is open.
+export const KEY_ACTIONS = {
+    forward: { label: 'Walk forward', key: 'KeyW' },
+    backward: { label: 'Walk back', key: 'KeyS' },
+    left: { label: 'Step left', key: 'KeyA' },
+    right: { label: 'Step right', key: 'KeyD' },
+    jump: { label: 'Jump', key: 'Space' },
+    view: { label: 'View an artwork', key: 'KeyV' },
+    previous: { label: 'Previous artwork', key: 'ArrowLeft' },
+    next: { label: 'Next artwork', key: 'ArrowRight' },
+    list: { label: 'List of artworks', key: 'KeyL' },
+    tour: { label: 'Guided tour', key: 'KeyT' },
+    pause: { label: 'Pause the tour', key: 'KeyP' },
+    guestbook: { label: 'Sign the guestbook', key: 'KeyG' },
+    follow: { label: 'Follow the host', key: 'KeyF' },
+    reset: { label: 'Emergency reset', key: 'KeyR' },
+    minimap: { label: 'Show or hide the minimap', key: 'KeyN' },
+    map: { label: 'Map of the museum', key: 'KeyM' },
+    settings: { label: 'Settings', key: 'KeyO' },
+    colliders: { label: 'Show collision boxes', key: 'Backquote' }
+};
+
+// Sliders in the settings panel, with the unit their value is shown in
+export const SETTING_RANGES = {
+    lookSensitivity: { min: 0.2, max: 3, step: 0.1, default: 1, unit: '×' },
+    walkSpeed: { min: 10, max: 100, step: 5, default: 50, unit: '' },
+    fov: { min: 50, max: 110, step: 1, default: 75, unit: '°' },
+    headHeight: { min: 1.2, max: 2.6, step: 0.1, default: 2, unit: ' m' },
+    gamepadDeadZone: { min: 0, max: 50, step: 5, default: 15, unit: '%' } // Of a stick's full tilt
+};
+
+// Checkboxes in the settings panel, with their defaults
+export const SETTING_SWITCHES = {
+    jumping: true,
+    showMinimap: true,
+    highContrast: false,
+    showGallery: false // The list of artworks for screen readers, shown on screen too
+};
+
+export function defaultSettings() {
+    // reducedMotion is null until the visitor chooses, meaning "as the system says"
+    const settings = { keys: {}, ...SETTING_SWITCHES, reducedMotion: null };
+    Object.entries(KEY_ACTIONS).forEach(([action, { key }]) => {
+        settings.keys[action] = key;
+    });
+    Object.entries(SETTING_RANGES).forEach(([name, range]) => {
+        settings[name] = range.default;
+    });
+    return settings;
+}
+
+// The saved settings, with anything missing or out of range put back to its default
+export function loadSettings() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+        console.warn('Ignoring saved settings:', error);
+    }
+    const settings = defaultSettings();
+    if (!saved || typeof saved !== 'object') {
+        return settings;
+    }
+
+    Object.entries(SETTING_RANGES).forEach(([name, range]) => {
+        if (typeof saved[name] === 'number' && Number.isFinite(saved[name])) {
+            settings[name] = Math.max(range.min, Math.min(range.max, saved[name]));
+        }
+    });
+    Object.keys(SETTING_SWITCHES).forEach(name => {
+        if (typeof saved[name] === 'boolean') {
+            settings[name] = saved[name];
+        }
+    });
+    if (typeof saved.reducedMotion === 'boolean') {
+        settings.reducedMotion = saved.reducedMotion;
+    }
+
+    // A key can only do one thing; an action whose key is taken is left unbound.
+    // Actions added since the settings were saved get their usual key if it's
+    // free, after the visitor's own choices have been placed.
+    if (saved.keys && typeof saved.keys === 'object') {
+        const taken = new Set();
+        const claim = (action, key) => {
+            settings.keys[action] = typeof key === 'string' && key !== 'Escape' && !taken.has(key) ? key : null;
+            taken.add(settings.keys[action]);
+        };
+        const actions = Object.keys(KEY_ACTIONS);
+        actions.filter(action => action in saved.keys).forEach(action => claim(action, saved.keys[action]));
+        actions.filter(action => !(action in saved.keys)).forEach(action => claim(action, KEY_ACTIONS[action].key));
+    }
+    return settings;
+}
+
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        // Private browsing can refuse storage; the settings still apply until reload
+        console.warn('Could not save settings:', error);
+    }
+}
+
+// The action bound to the key with this `event.code`, or null
+export function actionForKey(settings, code) {
+    return Object.keys(settings.keys).find(action => settings.keys[action] === code) || null;
+}
+
+// Bind `action` to `code`. If another action had that key, it takes this
+// action's old key instead, so nothing is lost.
+export function bindKey(settings, action, code) {
+    const other = actionForKey(settings, code);
+    if (other && other !== action) {
+        settings.keys[other] = settings.keys[action];
+    }
+    settings.keys[action] = code;
+}
+
+const KEY_SYMBOLS = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Backquote: '`' };
+
+// What to call a key on screen. `layoutMap` (from navigator.keyboard, where
+// the browser has it) gives the letter printed on the key in the visitor's
+// layout, so KeyW shows as Z on an AZERTY keyboard.
+export function keyName(code, layoutMap = null) {
+    if (!code) return 'none';
+    const printed = layoutMap && layoutMap.get(code);
+    if (printed && printed.trim()) return printed.toUpperCase();
+    if (KEY_SYMBOLS[code]) return KEY_SYMBOLS[code];
+    return code.replace(/^(Key|Digit)/, '');
+}
@@ -0,0 +1,123 @@
+// Occasion themes
+//
+// A theme bundles everything that changes between occasions: which
+// decorations are put up (any of sign, lanterns, confetti, balloons,
+// streamers and giftBoxes), the colours of the room and decorations, the
+// ceiling sign and the text on the loading screen, in the browser tab and
+// around each love letter. Pick one with "theme" in the exhibit manifest or
+// ?theme= in the page address.
+//
+// Text that mentions the recipient is a function of the personalization
+// values (see personalization.js); use getThemeText() to fill it in.
+
+export const DEFAULT_THEME = 'birthday';
+
+export const THEMES = {
+    birthday: {
+        text: {
+            pageTitle: ({ age }) => (age ? `Happy ${age} :D` : 'Happy Birthday :D'),
+            loadingTitle: ({ recipient, age }) => `Happy ${ordinalPrefix(age)}Birthday${namePart(recipient)}! 🎂`,
+            loadingText: () => 'Preparing your special gift...',
+            greeting: ({ recipient }) => (recipient ? `My dearest ${recipient},` : 'My dearest,'),
+            signOff: () => 'Forever yours ❤️',
+            sign: ({ recipient, age }) => `Happy ${ordinalPrefix(age)}Birthday${namePart(recipient)}!`
+        },
+        sign: {
+            gradient: ['#ff9999', '#ffcc99', '#99ccff'],
+            border: '#ff5555',
+            textColor: '#ff3366',
+            frameColor: 0xcc3366
+        },
+        palette: {
+            background: 0xf5f5f5,
+            walls: 0xffffff,
+            floorDark: 0x48494B,
+            floorLight: 0x777B7E,
+            decorations: [0xff3366, 0x3366ff, 0x33cc33, 0xffcc00, 0xff6600, 0x9933ff],
+            lanterns: [0xff9999, 0x99ccff, 0xccff99, 0xffffcc, 0xffcc99]
+        },
+        decorations: ['sign', 'lanterns', 'confetti', 'balloons', 'streamers', 'giftBoxes']
+    },
+
+    // `age` counts the years together
+    anniversary: {
+        text: {
+            pageTitle: () => 'Happy Anniversary ❤️',
+            loadingTitle: ({ recipient, age }) => `Happy ${ordinalPrefix(age)}Anniversary${namePart(recipient)}! ❤️`,
+            loadingText: () => 'Gathering our favourite memories...',
+            greeting: ({ recipient }) => (recipient ? `My dearest ${recipient},` : 'My dearest,'),
+            signOff: () => 'Forever yours ❤️',
+            sign: ({ recipient, age }) => `Happy ${ordinalPrefix(age)}Anniversary${namePart(recipient)}!`
+        },
+        sign: {
+            gradient: ['#ffd6e0', '#fff0f5', '#ffd6e0'],
+            border: '#c9a227',
+            textColor: '#b0103a',
+            frameColor: 0xc9a227
+        },
+        palette: {
+            background: 0xfdf5f7,
+            walls: 0xfff8f0,
+            floorDark: 0x4a3b3b,
+            floorLight: 0x7d6666,
+            decorations: [0xb0103a, 0xe75480, 0xffc0cb, 0xc9a227, 0xffffff],
+            lanterns: [0xffc0cb, 0xffe4e1, 0xfff0f5, 0xffd700]
+        },
+        decorations: ['sign', 'lanterns', 'confetti', 'balloons']
+    },
+
+    gallery: {
+        text: {
+            pageTitle: ({ recipient }) => (recipient ? `A gallery for ${recipient}` : 'Gallery'),
+            loadingTitle: ({ recipient }) => (recipient ? `Welcome, ${recipient}` : 'Welcome to the gallery'),
+            loadingText: () => 'Hanging the artworks...',
+            greeting: ({ recipient }) => (recipient ? `Dear ${recipient},` : ''),
+            signOff: () => '',
+            sign: () => ''
+        },
+        sign: null,
+        palette: {
+            background: 0xf5f5f5,
+            walls: 0xffffff,
+            floorDark: 0x48494B,
+            floorLight: 0x777B7E,
+            decorations: [],
+            lanterns: []
+        },
+        decorations: []
+    }
+};
+
+export const THEME_NAMES = Object.keys(THEMES);
+
+// Look up the first of the given names that is a known theme, falling back
+// to the default theme
+export function getTheme(...names) {
+    const themeName = names.find(name => THEME_NAMES.includes(name)) || DEFAULT_THEME;
+    return { name: themeName, ...THEMES[themeName] };
+}
+
+// Fill in a theme's text for the recipient. Messages given in the
+// personalization replace the theme's own.
+export function getThemeText(theme, personalization) {
+    const text = {};
+    Object.entries(theme.text).forEach(([key, template]) => {
+        text[key] = template(personalization);
+    });
+    if (personalization.greeting) text.greeting = personalization.greeting;
+    if (personalization.signOff) text.signOff = personalization.signOff;
+    if (personalization.signText) text.sign = personalization.signText;
+    return text;
+}
+
+// "23rd " for 23, nothing when there's no number
+function ordinalPrefix(number) {
+    if (!number) return '';
+    const lastTwo = number % 100;
+    const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th';
+    return `${number}${suffix} `;
+}
+
+function namePart(recipient) {
+    return recipient ? `, ${recipient}` : '';
+}
@@ -0,0 +1,135 @@
+// Touch controls for phones and tablets, which have no pointer lock or keyboard
+//
+// A virtual joystick walks, dragging anywhere else on the view looks
+// around, a tap picks what's under the finger and two fingers pinch. The
+// joystick only sets `axes`; walking itself goes through the same movement
+// code as the keyboard.
+
+import { turnCamera } from './look.js';
+
+const LOOK_SPEED = 0.004; // Radians per pixel dragged
+const DEAD_ZONE = 0.15; // Joystick movement ignored near the centre, as a share of its reach
+const TAP_TIME = 300; // Milliseconds a touch may last and still be a tap
+const TAP_DISTANCE = 10; // Pixels a touch may move and still be a tap
+
+// Whether this device is driven by touch rather than a mouse
+export function isTouchDevice() {
+    return window.matchMedia('(pointer: coarse)').matches && navigator.maxTouchPoints > 0;
+}
+
+// Turn the camera by a drag of (dx, dy) pixels, `sensitivity` times the usual amount
+export function lookBy(camera, dx, dy, sensitivity = 1) {
+    const speed = LOOK_SPEED * sensitivity;
+    turnCamera(camera, -dx * speed, -dy * speed);
+}
+
+// Listen for touches on `surface` (the 3D view) and `joystick` (its knob is
+// the first child). `handlers` may have onLook(dx, dy), onTap(x, y) in
+// client pixels and onPinch(scale), where scale > 1 means fingers apart.
+export function createTouchControls(surface, joystick, handlers) {
+    const knob = joystick.firstElementChild;
+    const axes = { forward: 0, right: 0 };
+    const touches = new Map(); // Touches on the view by pointer id: { x, y, startX, startY, startTime }
+    let joystickPointer = null;
+    let pinchDistance = 0;
+
+    function moveJoystick(event) {
+        const bounds = joystick.getBoundingClientRect();
+        const reach = bounds.width / 2;
+        let dx = event.clientX - (bounds.left + reach);
+        let dy = event.clientY - (bounds.top + reach);
+        const distance = Math.hypot(dx, dy);
+        if (distance > reach) {
+            dx *= reach / distance;
+            dy *= reach / distance;
+        }
+        knob.style.transform = `translate(${dx}px, ${dy}px)`;
+
+        // Full speed at the edge, nothing inside the dead zone
+        const strength = Math.min(distance / reach, 1);
+        const amount = strength < DEAD_ZONE ? 0 : (strength - DEAD_ZONE) / (1 - DEAD_ZONE);
+        const length = Math.hypot(dx, dy) || 1;
+        axes.right = dx / length * amount;
+        axes.forward = -dy / length * amount;
+    }
+
+    function releaseJoystick() {
+        joystickPointer = null;
+        axes.forward = 0;
+        axes.right = 0;
+        knob.style.transform = '';
+    }
+
+    function fingerDistance() {
+        const [a, b] = [...touches.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    joystick.addEventListener('pointerdown', event => {
+        event.preventDefault();
+        event.stopPropagation();
+        joystickPointer = event.pointerId;
+        joystick.setPointerCapture(event.pointerId);
+        moveJoystick(event);
+    });
+    joystick.addEventListener('pointermove', event => {
+        if (event.pointerId === joystickPointer) moveJoystick(event);
+    });
+    joystick.addEventListener('pointerup', releaseJoystick);
+    joystick.addEventListener('pointercancel', releaseJoystick);
+
+    surface.addEventListener('pointerdown', event => {
+        if (event.pointerType !== 'touch') return;
+        touches.set(event.pointerId, {
+            x: event.clientX,
+            y: event.clientY,
+            startX: event.clientX,
+            startY: event.clientY,
+            startTime: performance.now()
+        });
+        if (touches.size === 2) {
+            pinchDistance = fingerDistance();
+        }
+    });
+
+    surface.addEventListener('pointermove', event => {
+        const touch = touches.get(event.pointerId);
+        if (!touch) return;
+        const dx = event.clientX - touch.x;
+        const dy = event.clientY - touch.y;
+        touch.x = event.clientX;
+        touch.y = event.clientY;
+
+        if (touches.size === 2) {
+            const distance = fingerDistance();
+            if (pinchDistance > 0) {
+                handlers.onPinch?.(distance / pinchDistance);
+            }
+            pinchDistance = distance;
+        } else if (touches.size === 1) {
+            handlers.onLook?.(dx, dy);
+        }
+    });
+
+    const endTouch = event => {
+        const touch = touches.get(event.pointerId);
+        if (!touch) return;
+        const wasOnlyTouch = touches.size === 1;
+        touches.delete(event.pointerId);
+        pinchDistance = 0;
+
+        const isTap = event.type === 'pointerup' && wasOnlyTouch &&
+            performance.now() - touch.startTime < TAP_TIME &&
+            Math.hypot(event.clientX - touch.startX, event.clientY - touch.startY) < TAP_DISTANCE;
+        if (isTap) {
+            handlers.onTap?.(event.clientX, event.clientY);
+        }
+    };
+    surface.addEventListener('pointerup', endTouch);
+    surface.addEventListener('pointercancel', endTouch);
+
+    return {
+        // Joystick position: forward and right, each from -1 to 1
+        axes
+    };
+}
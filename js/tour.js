@@ -0,0 +1,321 @@
+// Guided tour: the camera glides from artwork to artwork by itself
+//
+// The route to each stop is found on a grid laid over the floor plan,
+// stepping round anything `isClear` rejects (walls, benches, planters), and
+// then smoothed into a curve the camera follows at walking pace. At each
+// stop the camera turns to the artwork and waits before moving on.
+
+import * as THREE from 'three';
+
+const GRID_SIZE = 0.5; // Metres between the points the route is planned on
+const TOUR_SPEED = 4; // Metres per second along the route
+const TURN_SPEED = 3; // How quickly the camera turns to where it should look
+const LOOK_AHEAD = 2; // While moving, look at the route this far ahead
+const FACE_ARTWORK_DISTANCE = 3; // Turn to the artwork this far before the stop
+
+// Plan a way from one point to another ({ x, z } each) that only crosses
+// points where isClear(x, z) is true. Returns the corners of the route,
+// starting with `from` and ending with `to`; just those two when there is
+// no way round.
+export function findRoute(from, to, isClear, bounds) {
+    const columns = Math.floor((bounds.maxX - bounds.minX) / GRID_SIZE) + 1;
+    const rows = Math.floor((bounds.maxZ - bounds.minZ) / GRID_SIZE) + 1;
+    const cellX = cell => bounds.minX + (cell % columns) * GRID_SIZE;
+    const cellZ = cell => bounds.minZ + Math.floor(cell / columns) * GRID_SIZE;
+
+    // Each grid point is checked once, when the search first reaches it
+    const clearness = new Int8Array(columns * rows); // 0 unknown, 1 clear, 2 blocked
+    const isCellClear = cell => {
+        if (clearness[cell] === 0) {
+            clearness[cell] = isClear(cellX(cell), cellZ(cell)) ? 1 : 2;
+        }
+        return clearness[cell] === 1;
+    };
+
+    const start = nearestClearCell(from, columns, rows, bounds, isCellClear);
+    const goal = nearestClearCell(to, columns, rows, bounds, isCellClear);
+    if (start === null || goal === null) {
+        return [from, to];
+    }
+
+    const path = searchGrid(start, goal, columns, rows, isCellClear);
+    if (!path) {
+        return [from, to];
+    }
+
+    // Keep only the corners: skip every point that can be seen past
+    const points = [from, ...path.map(cell => ({ x: cellX(cell), z: cellZ(cell) })), to];
+    const corners = [from];
+    let anchor = from;
+    for (let i = 1; i < points.length - 1; i++) {
+        if (!isLineClear(anchor, points[i + 1], isClear)) {
+            anchor = points[i];
+            corners.push(anchor);
+        }
+    }
+    corners.push(to);
+    return corners;
+}
+
+// A* over the grid, moving in eight directions without cutting corners.
+// Returns the cells from start to goal, or null if the goal can't be reached.
+function searchGrid(start, goal, columns, rows, isCellClear) {
+    const goalColumn = goal % columns;
+    const goalRow = Math.floor(goal / columns);
+    const estimate = cell => {
+        const dx = Math.abs(cell % columns - goalColumn);
+        const dz = Math.abs(Math.floor(cell / columns) - goalRow);
+        return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    };
+
+    const cost = new Float64Array(columns * rows).fill(Infinity);
+    const cameFrom = new Int32Array(columns * rows).fill(-1);
+    const closed = new Uint8Array(columns * rows);
+    const open = createHeap();
+
+    cost[start] = 0;
+    open.push(start, estimate(start));
+
+    while (open.size > 0) {
+        const cell = open.pop();
+        if (cell === goal) {
+            const path = [goal];
+            while (path[0] !== start) {
+                path.unshift(cameFrom[path[0]]);
+            }
+            return path;
+        }
+        if (closed[cell]) continue;
+        closed[cell] = 1;
+
+        const column = cell % columns;
+        const row = Math.floor(cell / columns);
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (dx === 0 && dz === 0) continue;
+                const nextColumn = column + dx;
+                const nextRow = row + dz;
+                if (nextColumn < 0 || nextColumn >= columns || nextRow < 0 || nextRow >= rows) continue;
+
+                const next = nextRow * columns + nextColumn;
+                if (closed[next] || !isCellClear(next)) continue;
+                // A diagonal step needs both of the cells beside it clear
+                if (dx !== 0 && dz !== 0 && (!isCellClear(row * columns + nextColumn) || !isCellClear(nextRow * columns + column))) continue;
+
+                const nextCost = cost[cell] + (dx !== 0 && dz !== 0 ? Math.SQRT2 : 1);
+                if (nextCost < cost[next]) {
+                    cost[next] = nextCost;
+                    cameFrom[next] = cell;
+                    open.push(next, nextCost + estimate(next));
+                }
+            }
+        }
+    }
+    return null;
+}
+
+// The clear grid point closest to a point, searching outwards ring by ring
+function nearestClearCell(point, columns, rows, bounds, isCellClear) {
+    const column = Math.round((point.x - bounds.minX) / GRID_SIZE);
+    const row = Math.round((point.z - bounds.minZ) / GRID_SIZE);
+
+    for (let ring = 0; ring < Math.max(columns, rows); ring++) {
+        for (let dz = -ring; dz <= ring; dz++) {
+            for (let dx = -ring; dx <= ring; dx++) {
+                if (Math.max(Math.abs(dx), Math.abs(dz)) !== ring) continue;
+                const c = column + dx;
+                const r = row + dz;
+                if (c >= 0 && c < columns && r >= 0 && r < rows && isCellClear(r * columns + c)) {
+                    return r * columns + c;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+function isLineClear(from, to, isClear) {
+    const steps = Math.ceil(Math.hypot(to.x - from.x, to.z - from.z) / (GRID_SIZE / 2));
+    for (let step = 1; step < steps; step++) {
+        const t = step / steps;
+        if (!isClear(from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Smallest-first queue of grid cells
+function createHeap() {
+    const cells = [];
+    const priorities = [];
+
+    function swap(i, j) {
+        [cells[i], cells[j]] = [cells[j], cells[i]];
+        [priorities[i], priorities[j]] = [priorities[j], priorities[i]];
+    }
+
+    return {
+        get size() {
+            return cells.length;
+        },
+        push(cell, priority) {
+            cells.push(cell);
+            priorities.push(priority);
+            let i = cells.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (priorities[parent] <= priorities[i]) break;
+                swap(i, parent);
+                i = parent;
+            }
+        },
+        pop() {
+            const top = cells[0];
+            const last = cells.length - 1;
+            swap(0, last);
+            cells.pop();
+            priorities.pop();
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < cells.length && priorities[left] < priorities[smallest]) smallest = left;
+                if (right < cells.length && priorities[right] < priorities[smallest]) smallest = right;
+                if (smallest === i) break;
+                swap(i, smallest);
+                i = smallest;
+            }
+            return top;
+        }
+    };
+}
+
+// Run a tour. `stops` are { artwork, position, target }: where the camera
+// stands and what it looks at. `handlers` may have onDepart(stop, index),
+// called on setting off for a stop, onArrive(stop, index) and onLeave(stop)
+// at the stop itself, and onFinish() after the last one. When
+// `reducedMotion()` says so the camera cuts to each stop instead of gliding.
+// Call update(delta) every frame.
+export function createTour({ camera, stops, isClear, bounds, stopSeconds, reducedMotion = () => false }, handlers = {}) {
+    let index = -1;
+    let phase = 'moving'; // 'moving', 'viewing' or 'finished'
+    let paused = false;
+    let curve = null;
+    let routeLength = 0;
+    let travelled = 0;
+    let waited = 0;
+
+    const lookMatrix = new THREE.Matrix4();
+    const lookRotation = new THREE.Quaternion();
+    const lookTarget = new THREE.Vector3();
+
+    function goTo(nextIndex) {
+        if (phase === 'viewing') {
+            handlers.onLeave?.(stops[index]);
+        }
+        if (nextIndex >= stops.length) {
+            phase = 'finished';
+            handlers.onFinish?.();
+            return;
+        }
+
+        index = nextIndex;
+        phase = 'moving';
+        travelled = 0;
+
+        const stop = stops[index];
+        const corners = findRoute(
+            { x: camera.position.x, z: camera.position.z },
+            { x: stop.position.x, z: stop.position.z },
+            isClear,
+            bounds
+        );
+        const points = corners.map((corner, cornerIndex) => new THREE.Vector3(
+            corner.x,
+            cornerIndex === 0 ? camera.position.y : stop.position.y,
+            corner.z
+        ));
+        curve = points.length > 2
+            ? new THREE.CatmullRomCurve3(points, false, 'centripetal')
+            : new THREE.LineCurve3(points[0], points[1]);
+        routeLength = curve.getLength();
+        handlers.onDepart?.(stop, index);
+    }
+
+    // Turn the camera smoothly towards a point
+    function turnTowards(target, delta) {
+        lookMatrix.lookAt(camera.position, target, camera.up);
+        lookRotation.setFromRotationMatrix(lookMatrix);
+        camera.quaternion.slerp(lookRotation, reducedMotion() ? 1 : 1 - Math.exp(-TURN_SPEED * delta));
+    }
+
+    return {
+        get index() {
+            return index;
+        },
+        get stopCount() {
+            return stops.length;
+        },
+        get phase() {
+            return phase;
+        },
+        get paused() {
+            return paused;
+        },
+        start() {
+            goTo(0);
+        },
+        update(delta) {
+            if (paused || phase === 'finished') return;
+            const stop = stops[index];
+
+            if (phase === 'moving') {
+                travelled = reducedMotion() ? routeLength : Math.min(travelled + TOUR_SPEED * delta, routeLength);
+                const t = routeLength > 0 ? travelled / routeLength : 1;
+                camera.position.copy(curve.getPointAt(t));
+
+                if (routeLength - travelled < FACE_ARTWORK_DISTANCE) {
+                    lookTarget.copy(stop.target);
+                } else {
+                    curve.getPointAt(Math.min(1, (travelled + LOOK_AHEAD) / routeLength), lookTarget);
+                    lookTarget.y = camera.position.y;
+                }
+                turnTowards(lookTarget, delta);
+
+                if (t >= 1) {
+                    phase = 'viewing';
+                    waited = 0;
+                    handlers.onArrive?.(stop, index);
+                }
+                return;
+            }
+
+            turnTowards(stop.target, delta);
+            waited += delta;
+            if (waited >= stopSeconds) {
+                goTo(index + 1);
+            }
+        },
+        pause() {
+            paused = true;
+        },
+        resume() {
+            paused = false;
+        },
+        next() {
+            if (phase !== 'finished') goTo(index + 1);
+        },
+        previous() {
+            if (phase !== 'finished') goTo(Math.max(0, index - 1));
+        },
+        // End the tour early; onFinish isn't called
+        stop() {
+            if (phase === 'viewing') {
+                handlers.onLeave?.(stops[index]);
+            }
+            phase = 'finished';
+        }
+    };
+}
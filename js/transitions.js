@@ -0,0 +1,96 @@
+// Smooth camera moves
+//
+// A transition eases the camera from where it is to a new position and
+// orientation. Starting another transition, or cancelling, stops the current
+// one wherever the camera has got to. When the visitor asks for reduced
+// motion, transitions are instant cuts instead.
+
+import * as THREE from 'three';
+
+export const DEFAULT_TRANSITION_DURATION = 0.8; // Seconds
+
+export function prefersReducedMotion() {
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// `reducedMotion()` is asked before each transition whether to cut instead.
+// Call update(delta) every frame.
+export function createCameraTransitions(camera, { reducedMotion = prefersReducedMotion } = {}) {
+    let current = null;
+    const lookMatrix = new THREE.Matrix4();
+
+    // Settle the running transition; `finished` is false when it was cut short
+    function end(finished) {
+        const { resolve } = current;
+        current = null;
+        resolve(finished);
+    }
+
+    return {
+        get active() {
+            return current !== null;
+        },
+        // Where the running transition ends ({ position, quaternion }), or null
+        get target() {
+            return current && { position: current.toPosition, quaternion: current.toQuaternion };
+        },
+        // Move to `position` (default: stay put) facing `quaternion` or
+        // looking at the point `lookAt` (default: keep facing the same way).
+        // Resolves with true on arrival or false if interrupted.
+        moveTo({ position = camera.position, quaternion = null, lookAt = null, duration = DEFAULT_TRANSITION_DURATION }) {
+            if (current) {
+                end(false);
+            }
+
+            const toPosition = position.clone();
+            let toQuaternion = camera.quaternion.clone();
+            if (quaternion) {
+                toQuaternion = quaternion.clone();
+            } else if (lookAt) {
+                lookMatrix.lookAt(toPosition, lookAt, camera.up);
+                toQuaternion.setFromRotationMatrix(lookMatrix);
+            }
+
+            if (duration <= 0 || reducedMotion()) {
+                camera.position.copy(toPosition);
+                camera.quaternion.copy(toQuaternion);
+                return Promise.resolve(true);
+            }
+
+            return new Promise(resolve => {
+                current = {
+                    fromPosition: camera.position.clone(),
+                    fromQuaternion: camera.quaternion.clone(),
+                    toPosition,
+                    toQuaternion,
+                    duration,
+                    elapsed: 0,
+                    resolve
+                };
+            });
+        },
+        // Stop where the camera is now
+        cancel() {
+            if (current) {
+                end(false);
+            }
+        },
+        update(delta) {
+            if (!current) return;
+
+            current.elapsed += delta;
+            const t = Math.min(current.elapsed / current.duration, 1);
+            const eased = easeInOutCubic(t);
+            camera.position.lerpVectors(current.fromPosition, current.toPosition, eased);
+            camera.quaternion.slerpQuaternions(current.fromQuaternion, current.toQuaternion, eased);
+
+            if (t >= 1) {
+                end(true);
+            }
+        }
+    };
+}
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
@@ -0,0 +1,203 @@
+// Virtual reality: teleporting around with the controllers and pointing at
+// artworks
+//
+// The headset drives the camera, so moving the visitor means moving the
+// reference space under them. Each controller casts a laser; what it points
+// at is worked out by `findTarget` so the museum decides what counts as
+// floor, wall or artwork.
+
+import * as THREE from 'three';
+import { fitText } from './canvas-text.js';
+
+const LASER_LENGTH = 8; // Metres, when the laser isn't pointing at anything
+const VALID_COLOR = 0x44ff88;
+const INVALID_COLOR = 0xff4444;
+const PANEL_WIDTH = 2;
+const PANEL_HEIGHT = 1;
+const PANEL_DISTANCE = 0.9; // How far in front of the artwork its panel floats
+const PANEL_HEIGHT_ABOVE_FLOOR = 1.3;
+
+// `findTarget(raycaster)` returns { artwork, point } when an artwork is hit,
+// { point, floor: true, valid } when the floor is (valid when the visitor
+// may stand there), { point } for anything else in the way, or null.
+// `handlers` may have onSelectArtwork(artwork), onDeselect() and
+// onTeleport(x, z). Call update() every frame.
+export function createXRControls({ renderer, scene, camera, findTarget }, handlers = {}) {
+    const raycaster = new THREE.Raycaster();
+    const rotationMatrix = new THREE.Matrix4();
+    let baseReferenceSpace = null;
+    const origin = { x: 0, z: 0, yaw: 0 }; // Where the headset's origin stands in the museum
+
+    const marker = new THREE.Mesh(
+        new THREE.RingGeometry(0.25, 0.35, 32).rotateX(-Math.PI / 2),
+        new THREE.MeshBasicMaterial({ color: VALID_COLOR })
+    );
+    marker.visible = false;
+    scene.add(marker);
+
+    const controllers = [0, 1].map(index => {
+        const controller = renderer.xr.getController(index);
+        const laser = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -1)]),
+            new THREE.LineBasicMaterial({ color: 0xffffff })
+        );
+        laser.scale.z = LASER_LENGTH;
+        laser.visible = false;
+        controller.add(laser);
+        scene.add(controller);
+
+        const state = { controller, laser, target: null };
+        controller.addEventListener('connected', event => {
+            // Hands and gaze have no laser to point with
+            laser.visible = event.data.targetRayMode === 'tracked-pointer';
+        });
+        controller.addEventListener('disconnected', () => {
+            laser.visible = false;
+            state.target = null;
+        });
+        controller.addEventListener('select', () => {
+            const target = state.target;
+            if (target && target.artwork) {
+                handlers.onSelectArtwork?.(target.artwork);
+            } else if (target && target.valid) {
+                teleportTo(target.point.x, target.point.z);
+            } else {
+                handlers.onDeselect?.();
+            }
+        });
+        controller.addEventListener('squeeze', () => handlers.onDeselect?.());
+        return state;
+    });
+
+    // Put the headset's reference space down so the visitor stands at
+    // (x, z), facing `yaw` radians round from -z
+    function placeOrigin(x, z, yaw) {
+        origin.x = x;
+        origin.z = z;
+        origin.yaw = yaw;
+        // The offset is the inverse of where the origin goes
+        const rotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -yaw);
+        const position = new THREE.Vector3(-x, 0, -z).applyQuaternion(rotation);
+        const transform = new XRRigidTransform(
+            { x: position.x, y: position.y, z: position.z, w: 1 },
+            { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w }
+        );
+        renderer.xr.setReferenceSpace(baseReferenceSpace.getOffsetReferenceSpace(transform));
+    }
+
+    // Move the visitor so their head is over (x, z), wherever they stand in their play space
+    function teleportTo(x, z) {
+        // The camera follows the headset, so it's where the head is
+        const head = camera.position;
+        placeOrigin(origin.x + x - head.x, origin.z + z - head.z, origin.yaw);
+        handlers.onTeleport?.(x, z);
+    }
+
+    return {
+        // The artwork a laser is on, or null
+        get pointedArtwork() {
+            const pointing = controllers.find(state => state.target && state.target.artwork);
+            return pointing ? pointing.target.artwork : null;
+        },
+        // Start a session with the visitor where the camera is now
+        start(position, yaw) {
+            baseReferenceSpace = renderer.xr.getReferenceSpace();
+            placeOrigin(position.x, position.z, yaw);
+        },
+        update() {
+            let floorTarget = null;
+            controllers.forEach(state => {
+                if (!state.laser.visible) {
+                    state.target = null;
+                    return;
+                }
+
+                rotationMatrix.identity().extractRotation(state.controller.matrixWorld);
+                raycaster.ray.origin.setFromMatrixPosition(state.controller.matrixWorld);
+                raycaster.ray.direction.set(0, 0, -1).applyMatrix4(rotationMatrix);
+
+                state.target = findTarget(raycaster);
+                state.laser.scale.z = state.target
+                    ? raycaster.ray.origin.distanceTo(state.target.point)
+                    : LASER_LENGTH;
+                if (state.target && state.target.floor) {
+                    floorTarget = state.target;
+                }
+            });
+
+            marker.visible = floorTarget !== null;
+            if (floorTarget) {
+                marker.position.set(floorTarget.point.x, 0.01, floorTarget.point.z);
+                marker.material.color.set(floorTarget.valid ? VALID_COLOR : INVALID_COLOR);
+            }
+        },
+        end() {
+            marker.visible = false;
+            controllers.forEach(state => {
+                state.target = null;
+            });
+        }
+    };
+}
+
+// A panel floating in front of an artwork with its title and message, for
+// when there's no HTML overlay to show them in
+export function createXRInfoPanel() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1024;
+    canvas.height = 512;
+    const texture = new THREE.CanvasTexture(canvas);
+
+    const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(PANEL_WIDTH, PANEL_HEIGHT),
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true })
+    );
+    mesh.visible = false;
+
+    function draw(title, message) {
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        context.beginPath();
+        context.roundRect(0, 0, canvas.width, canvas.height, 40);
+        context.fill();
+
+        context.textAlign = 'center';
+        context.textBaseline = 'top';
+        context.fillStyle = '#ff69b4';
+        context.font = "bold 64px 'Segoe UI', Arial";
+        context.fillText(title, canvas.width / 2, 40, canvas.width - 80);
+
+        const { lines, fontSize } = fitText(context, message, {
+            maxWidth: canvas.width - 100,
+            maxHeight: canvas.height - 180,
+            maxSize: 48,
+            minSize: 22,
+            font: size => `italic ${size}px 'Segoe UI', Arial`,
+            lineHeight: 1.3,
+            step: 4
+        });
+        context.fillStyle = '#ffffff';
+        lines.forEach((line, index) => {
+            context.fillText(line, canvas.width / 2, 140 + index * fontSize * 1.3, canvas.width - 100);
+        });
+
+        texture.needsUpdate = true;
+    }
+
+    return {
+        mesh,
+        // Float the panel in front of `artwork`, facing the same way
+        show(artwork, title, message) {
+            draw(title, message);
+            const outwards = new THREE.Vector3(0, 0, 1).applyQuaternion(artwork.group.quaternion);
+            mesh.position.copy(artwork.group.position).addScaledVector(outwards, PANEL_DISTANCE);
+            mesh.position.y = PANEL_HEIGHT_ABOVE_FLOOR;
+            mesh.quaternion.copy(artwork.group.quaternion);
+            mesh.visible = true;
+        },
+        hide() {
+            mesh.visible = false;
+        }
+    };
+}
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs/promises');
+const multer = require('multer');
+const path = require('path');
+const { imageSize } = require('image-size');
+
+const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+// Image types curators may upload, by the type image-size detects from the file itself
+const UPLOAD_TYPES = {
+    jpg: { extension: '.jpg', mimeTypes: ['image/jpeg'] },
+    png: { extension: '.png', mimeTypes: ['image/png'] },
+    gif: { extension: '.gif', mimeTypes: ['image/gif'] },
+    webp: { extension: '.webp', mimeTypes: ['image/webp'] }
+};
+
+// An error that should reach the curator as-is, with an HTTP status
+class CuratorError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'CuratorError';
+        this.status = status;
+    }
+}
+
+// API for adding, editing, reordering and removing artworks.
+// Artworks are identified by their image's file name.
+function createCuratorRouter({ imagesDir, imagesUrlPrefix, store, token }) {
+    const router = express.Router();
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+    });
+
+    const imagePathFor = filename => `${imagesUrlPrefix}/${filename}`;
+    const findIndex = (manifest, filename) => manifest.artworks.findIndex(artwork => artwork.image === imagePathFor(filename));
+
+    router.use(express.json());
+    router.use(requireCuratorToken(token));
+
+    router.get('/', async (req, res) => {
+        try {
+            const manifest = await store.read();
+            res.json({ artworks: manifest.artworks });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.post('/', (req, res) => {
+        upload.single('image')(req, res, async uploadError => {
+            try {
+                if (uploadError) {
+                    throw uploadError.code === 'LIMIT_FILE_SIZE'
+                        ? new CuratorError(413, `Images must be smaller than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`)
+                        : new CuratorError(400, uploadError.message);
+                }
+                if (!req.file) {
+                    throw new CuratorError(400, 'Choose an image to upload');
+                }
+
+                const { title, description } = readCaptionFields(req.body, true);
+                const type = detectImageType(req.file);
+                const hash = hashOf(req.file.buffer);
+
+                let written = null; // The saved image, to clean up if the manifest can't be saved
+                const artwork = await store.update(async manifest => {
+                    const duplicate = await findDuplicate(manifest, imagesDir, imagesUrlPrefix, hash);
+                    if (duplicate) {
+                        throw new CuratorError(409, `This image is already in the museum as ${duplicate}`);
+                    }
+
+                    const filename = await chooseFilename(imagesDir, req.file.originalname, UPLOAD_TYPES[type].extension);
+                    await fs.writeFile(path.join(imagesDir, filename), req.file.buffer, { flag: 'wx' });
+                    written = path.join(imagesDir, filename);
+
+                    // `uploaded` marks the image as the API's own, for deleting it with the artwork
+                    const entry = { image: imagePathFor(filename), title, description, hash, uploaded: true };
+                    manifest.artworks.push(entry);
+                    return entry;
+                }).catch(async error => {
+                    if (written) {
+                        await fs.rm(written, { force: true });
+                    }
+                    throw error;
+                });
+
+                res.status(201).json({ artwork });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+    });
+
+    router.put('/order', async (req, res) => {
+        try {
+            const order = req.body && req.body.order;
+            if (!Array.isArray(order)) {
+                throw new CuratorError(400, 'Send the new order as an "order" array of file names');
+            }
+
+            const artworks = await store.update(manifest => {
+                const reordered = order.map(filename => manifest.artworks[findIndex(manifest, filename)]);
+                if (reordered.includes(undefined) || new Set(order).size !== order.length || order.length !== manifest.artworks.length) {
+                    throw new CuratorError(400, 'The new order must list every artwork exactly once');
+                }
+                manifest.artworks = reordered;
+                return reordered;
+            });
+
+            res.json({ artworks });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.patch('/:filename', async (req, res) => {
+        try {
+            const changes = readCaptionFields(req.body || {}, false);
+
+            const artwork = await store.update(manifest => {
+                const index = findIndex(manifest, req.params.filename);
+                if (index === -1) {
+                    throw new CuratorError(404, `No artwork uses ${req.params.filename}`);
+                }
+                Object.assign(manifest.artworks[index], changes);
+                return manifest.artworks[index];
+            });
+
+            res.json({ artwork });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/:filename', async (req, res) => {
+        try {
+            const [removed] = await store.update(manifest => {
+                const index = findIndex(manifest, req.params.filename);
+                if (index === -1) {
+                    throw new CuratorError(404, `No artwork uses ${req.params.filename}`);
+                }
+                return manifest.artworks.splice(index, 1);
+            });
+
+            // Images put in the folder by hand stay there; only uploads go with their artwork.
+            // The file name came from the manifest match, so it can't climb out of the folder.
+            if (removed.uploaded === true) {
+                await fs.rm(path.join(imagesDir, path.basename(req.params.filename)), { force: true });
+            }
+
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
+
+// Middleware checking the X-Curator-Token header. Reads go through unless
+// `protectReads` is set. Without a configured token only requests from this
+// machine may make changes, so a server started without one can't be emptied
+// by anyone who finds it.
+function requireCuratorToken(token, protectReads = false) {
+    return (req, res, next) => {
+        if (req.method === 'GET' && !protectReads) return next();
+
+        if (!token) {
+            if (isLoopback(req.socket.remoteAddress)) return next();
+            return res.status(403).json({ error: 'Set CURATOR_TOKEN on the server to curate from another machine' });
+        }
+
+        const given = Buffer.from(req.get('X-Curator-Token') || '');
+        const expected = Buffer.from(token);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return res.status(401).json({ error: 'A valid curator token is required' });
+        }
+        next();
+    };
+}
+
+function isLoopback(address) {
+    return typeof address === 'string' &&
+        (address === '::1' || /^(::ffff:)?127\./.test(address));
+}
+
+// Pull the title and description out of a request body. When `required` is
+// false only the fields that were sent are returned.
+function readCaptionFields(body, required) {
+    const fields = {};
+    const limits = { title: MAX_TITLE_LENGTH, description: MAX_DESCRIPTION_LENGTH };
+
+    Object.entries(limits).forEach(([field, limit]) => {
+        const value = body[field];
+        if (value === undefined && !required) return;
+
+        if (typeof value !== 'string' || value.trim() === '') {
+            throw new CuratorError(400, `The ${field} can't be empty`);
+        }
+        if (value.trim().length > limit) {
+            throw new CuratorError(400, `The ${field} must be at most ${limit} characters`);
+        }
+        fields[field] = value.trim();
+    });
+
+    return fields;
+}
+
+// Check both the declared type and the file's actual contents
+function detectImageType(file) {
+    let type;
+    try {
+        type = imageSize(file.buffer).type;
+    } catch (error) {
+        type = undefined;
+    }
+
+    if (!UPLOAD_TYPES[type] || !UPLOAD_TYPES[type].mimeTypes.includes(file.mimetype)) {
+        throw new CuratorError(415, 'Only JPEG, PNG, GIF and WebP images can be uploaded');
+    }
+    return type;
+}
+
+function hashOf(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// The file name of an artwork in the manifest with the same contents, or
+// null. Uploads keep their image's hash in the manifest; artworks added
+// before that are hashed once here and keep theirs from then on.
+async function findDuplicate(manifest, imagesDir, imagesUrlPrefix, hash) {
+    for (const artwork of manifest.artworks) {
+        const isUploaded = typeof artwork.image === 'string' && artwork.image.startsWith(`${imagesUrlPrefix}/`);
+        if (artwork.hash === undefined && isUploaded) {
+            try {
+                artwork.hash = hashOf(await fs.readFile(path.join(imagesDir, path.basename(artwork.image))));
+            } catch (error) {
+                continue; // Its image is missing, so there's nothing to match
+            }
+        }
+        if (artwork.hash === hash) {
+            return path.basename(artwork.image);
+        }
+    }
+    return null;
+}
+
+// Make a safe file name from the uploaded one, numbering it if it's taken
+async function chooseFilename(imagesDir, originalName, extension) {
+    const base = path.basename(originalName, path.extname(originalName))
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'artwork';
+
+    for (let attempt = 1; ; attempt++) {
+        const filename = attempt === 1 ? base + extension : `${base}-${attempt}${extension}`;
+        try {
+            await fs.access(path.join(imagesDir, filename));
+        } catch (error) {
+            return filename;
+        }
+    }
+}
+
+function sendError(res, error) {
+    if (error instanceof CuratorError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Curator request failed:', error);
+    res.status(500).json({ error: 'Something went wrong on the server' });
+}
+
+module.exports = {
+    CuratorError,
+    createCuratorRouter,
+    requireCuratorToken,
+    sendError
+};
@@ -0,0 +1,95 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { imageSizeFromFile } = require('image-size/fromFile');
+
+// Image and video types the museum can hang
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+const VIDEO_EXTENSIONS = ['.mp4', '.webm'];
+const SUPPORTED_EXTENSIONS = IMAGE_EXTENSIONS.concat(VIDEO_EXTENSIONS);
+
+// Sidecar files that can carry a caption for an image, checked in this order
+const CAPTION_EXTENSIONS = ['.json', '.txt'];
+
+// Scan a folder for exhibit images and videos and describe each one.
+// `urlPrefix` is the path the folder is served under (e.g. 'images').
+// Videos have no width or height here; the browser reads those when it loads them.
+async function scanExhibits(imagesDir, urlPrefix) {
+    const entries = await fs.readdir(imagesDir, { withFileTypes: true });
+    const fileNames = new Set(entries.filter(entry => entry.isFile()).map(entry => entry.name));
+
+    const imageNames = [...fileNames]
+        .filter(name => SUPPORTED_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    const exhibits = [];
+    for (const name of imageNames) {
+        const filePath = path.join(imagesDir, name);
+        const isVideo = VIDEO_EXTENSIONS.includes(path.extname(name).toLowerCase());
+
+        try {
+            const [stats, dimensions] = await Promise.all([
+                fs.stat(filePath),
+                isVideo ? { width: null, height: null } : imageSizeFromFile(filePath)
+            ]);
+
+            exhibits.push({
+                filename: name,
+                path: `${urlPrefix}/${name}`,
+                width: dimensions.width,
+                height: dimensions.height,
+                size: stats.size,
+                modified: stats.mtime.toISOString(),
+                caption: await readCaption(imagesDir, name, fileNames)
+            });
+        } catch (error) {
+            // A broken or half-written file shouldn't take the whole listing down
+            console.warn(`Skipping ${name}: ${error.message}`);
+        }
+    }
+
+    return exhibits;
+}
+
+// Read the sidecar caption for an image, if there is one.
+// JSON sidecars hold { "title", "description", "alt" }, where alt says what
+// the picture shows for screen readers. Text sidecars use their first
+// line as the title and the rest as the description; a single line is just
+// the description.
+async function readCaption(imagesDir, imageName, fileNames) {
+    const baseName = path.basename(imageName, path.extname(imageName));
+
+    for (const extension of CAPTION_EXTENSIONS) {
+        const captionName = baseName + extension;
+        if (!fileNames.has(captionName)) continue;
+
+        const text = await fs.readFile(path.join(imagesDir, captionName), 'utf8');
+
+        if (extension === '.json') {
+            try {
+                const data = JSON.parse(text);
+                return {
+                    title: typeof data.title === 'string' ? data.title : undefined,
+                    description: typeof data.description === 'string' ? data.description : undefined,
+                    alt: typeof data.alt === 'string' && data.alt.trim() ? data.alt.trim() : undefined
+                };
+            } catch (error) {
+                console.warn(`Ignoring caption ${captionName}: ${error.message}`);
+                continue;
+            }
+        }
+
+        const lines = text.trim().split(/\r?\n/);
+        if (lines[0] === '') continue;
+        if (lines.length === 1) {
+            return { title: undefined, description: lines[0].trim() };
+        }
+        return { title: lines[0].trim(), description: lines.slice(1).join('\n').trim() };
+    }
+
+    return null;
+}
+
+module.exports = {
+    SUPPORTED_EXTENSIONS,
+    scanExhibits
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const express = require('express');
+const { createJsonFileStore } = require('./json-file-store');
+const { CuratorError, sendError } = require('./curator');
+
+const MAX_NAME_LENGTH = 40;
+const MAX_MESSAGE_LENGTH = 280;
+const MAX_ENTRIES = 500; // Older messages are dropped beyond this
+const KEEP_ALIVE_INTERVAL = 30000;
+
+// Words masked out of names and messages. Only whole words match, with their
+// plural and verb endings, so "fucking" is caught but Dickens and Pissarro aren't.
+const PROFANITY = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'dick', 'piss', 'slut', 'whore', 'wanker', 'twat'];
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.join('|')})(s|es|ed|ing)?\\b`, 'gi');
+
+// Guestbook messages for one museum, kept in a JSON file, with live updates
+// sent to every open museum page as server-sent events
+function createGuestbookRouter(guestbookPath) {
+    const router = express.Router();
+    const store = createJsonFileStore(guestbookPath, () => ({ entries: [] }));
+    const listeners = new Set();
+
+    router.use(express.json());
+
+    router.get('/', async (req, res) => {
+        try {
+            const guestbook = await store.read();
+            res.json({ entries: guestbook.entries || [] });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.post('/', async (req, res) => {
+        try {
+            const body = req.body || {};
+            const entry = {
+                id: crypto.randomUUID(),
+                name: cleanField(body.name, 'name', MAX_NAME_LENGTH),
+                message: cleanField(body.message, 'message', MAX_MESSAGE_LENGTH),
+                created: new Date().toISOString()
+            };
+
+            await store.update(guestbook => {
+                guestbook.entries = (guestbook.entries || []).concat(entry).slice(-MAX_ENTRIES);
+            });
+
+            const event = `event: entry\ndata: ${JSON.stringify(entry)}\n\n`;
+            listeners.forEach(listener => listener.write(event));
+
+            res.status(201).json({ entry });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Stream new messages as they're written
+    router.get('/events', (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        // Comments keep proxies from closing a quiet connection
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+        listeners.add(res);
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            listeners.delete(res);
+        });
+    });
+
+    return router;
+}
+
+// Make a visitor's text safe to keep and show: no markup, no control
+// characters, no profanity and no more than `limit` characters
+function cleanField(value, field, limit) {
+    if (typeof value !== 'string') {
+        throw new CuratorError(400, `Please write a ${field}`);
+    }
+
+    const cleaned = value
+        .replace(/<[^>]*>/g, '')
+        .replace(/[<>]/g, '')
+        .replace(/[\u0000-\u001f\u007f]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(PROFANITY_PATTERN, word => word[0] + '*'.repeat(word.length - 1));
+
+    if (cleaned === '') {
+        throw new CuratorError(400, `Please write a ${field}`);
+    }
+    if (cleaned.length > limit) {
+        throw new CuratorError(400, `The ${field} must be at most ${limit} characters`);
+    }
+    return cleaned;
+}
+
+module.exports = {
+    MAX_MESSAGE_LENGTH,
+    MAX_NAME_LENGTH,
+    createGuestbookRouter
+};
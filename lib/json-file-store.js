@@ -0,0 +1,45 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Reads and writes a JSON file that several requests may change at once.
+// Changes are queued so two of them can't overwrite each other, and
+// `createEmpty()` gives the contents to start from when the file is missing.
+function createJsonFileStore(filePath, createEmpty) {
+    let queue = Promise.resolve();
+
+    async function read() {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return createEmpty();
+            }
+            throw error;
+        }
+    }
+
+    async function write(data) {
+        // Write to a temporary file first so a crash can't leave half a file behind
+        const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 4) + '\n');
+        await fs.rename(tempPath, filePath);
+    }
+
+    // Run `change(data)` and save the data afterwards. Whatever `change`
+    // returns is passed back to the caller.
+    function update(change) {
+        const result = queue.then(async () => {
+            const data = await read();
+            const value = await change(data);
+            await write(data);
+            return value;
+        });
+        // Keep the queue going even if this change failed
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    return { read, update };
+}
+
+module.exports = { createJsonFileStore };
@@ -0,0 +1,20 @@
+const { createJsonFileStore } = require('./json-file-store');
+
+// Reads and writes an exhibit manifest file (see js/manifest.js for the format)
+function createManifestStore(manifestPath) {
+    const store = createJsonFileStore(manifestPath, () => ({ artworks: [] }));
+
+    return {
+        read: store.read,
+        update(change) {
+            return store.update(manifest => {
+                if (!Array.isArray(manifest.artworks)) {
+                    manifest.artworks = [];
+                }
+                return change(manifest);
+            });
+        }
+    };
+}
+
+module.exports = { createManifestStore };
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs/promises');
+const path = require('path');
+const { scanExhibits } = require('./exhibits');
+const { createGuestbookRouter } = require('./guestbook');
+const { createManifestStore } = require('./manifest-store');
+const { CuratorError, createCuratorRouter, requireCuratorToken, sendError } = require('./curator');
+
+// Museum ids end up in links, so keep them to lowercase letters, digits and dashes
+const MUSEUM_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const MAX_MUSEUM_TITLE_LENGTH = 100;
+
+// Everything the server needs to host one museum: its folder (holding
+// exhibit.json, images/ and any other media), manifest store and routes.
+// `appDir` is where index.html and curator.html live. Nothing in
+// `hiddenDirs` is served, for folders inside `dir` that hold other museums.
+function openMuseum({ id, dir, appDir, token, hiddenDirs = [] }) {
+    const imagesDir = path.join(dir, 'images');
+    const store = createManifestStore(path.join(dir, 'exhibit.json'));
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.sendFile(path.join(appDir, 'index.html'));
+    });
+
+    // Curator page
+    router.get('/curator', (req, res) => {
+        res.sendFile(path.join(appDir, 'curator.html'));
+    });
+
+    // List the images in the images directory so the museum can hang them
+    router.get('/api/exhibits', async (req, res) => {
+        try {
+            const exhibits = await scanExhibits(imagesDir, 'images');
+            res.json({ exhibits });
+        } catch (error) {
+            console.error(`Failed to scan exhibits in ${imagesDir}:`, error);
+            res.status(500).json({ error: 'Could not read the images folder' });
+        }
+    });
+
+    // Curator API for uploading and editing artworks
+    router.use('/api/artworks', createCuratorRouter({
+        imagesDir,
+        imagesUrlPrefix: 'images',
+        store,
+        token
+    }));
+
+    // Visitors' messages
+    router.use('/api/guestbook', createGuestbookRouter(path.join(dir, 'guestbook.json')));
+
+    // exhibit.json, images and other media
+    const staticFiles = express.static(dir);
+    router.use((req, res, next) => {
+        let file;
+        try {
+            file = path.join(dir, decodeURIComponent(req.path));
+        } catch (error) {
+            return next(); // Not a path any file could have
+        }
+        if (hiddenDirs.some(hidden => isInside(hidden, file))) {
+            return next();
+        }
+        staticFiles(req, res, next);
+    });
+
+    return { id, dir, imagesDir, store, router };
+}
+
+function isInside(parent, file) {
+    const relative = path.relative(parent, file);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Museums kept as folders inside `museumsDir`, one per museum id
+function createMuseumRegistry({ museumsDir, appDir, token }) {
+    const open = new Map();
+
+    const dirFor = id => path.join(museumsDir, id);
+
+    async function exists(id) {
+        try {
+            return (await fs.stat(dirFor(id))).isDirectory();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // The museum with this id, or null if there isn't one
+    async function get(id) {
+        if (!MUSEUM_ID_PATTERN.test(id) || !(await exists(id))) {
+            open.delete(id);
+            return null;
+        }
+        if (!open.has(id)) {
+            open.set(id, openMuseum({ id, dir: dirFor(id), appDir, token }));
+        }
+        return open.get(id);
+    }
+
+    async function list() {
+        await fs.mkdir(museumsDir, { recursive: true });
+        const entries = await fs.readdir(museumsDir, { withFileTypes: true });
+
+        const museums = [];
+        for (const entry of entries) {
+            if (!entry.isDirectory() || !MUSEUM_ID_PATTERN.test(entry.name)) continue;
+            museums.push(await describe(entry.name));
+        }
+        return museums.sort((a, b) => a.created.localeCompare(b.created));
+    }
+
+    async function describe(id) {
+        const stats = await fs.stat(dirFor(id));
+        let manifest;
+        try {
+            manifest = JSON.parse(await fs.readFile(path.join(dirFor(id), 'exhibit.json'), 'utf8'));
+        } catch (error) {
+            manifest = {};
+        }
+        return {
+            id,
+            title: typeof manifest.title === 'string' ? manifest.title : id,
+            artworks: Array.isArray(manifest.artworks) ? manifest.artworks.length : 0,
+            created: stats.birthtime.toISOString(),
+            url: `/m/${id}/`
+        };
+    }
+
+    // Make an empty museum. Without an id one is made from the title plus a
+    // random part, so links to museums can't be guessed.
+    async function create({ id, title }) {
+        if (typeof title !== 'string' || title.trim() === '') {
+            throw new CuratorError(400, 'Give the museum a title');
+        }
+        if (title.trim().length > MAX_MUSEUM_TITLE_LENGTH) {
+            throw new CuratorError(400, `The title must be at most ${MAX_MUSEUM_TITLE_LENGTH} characters`);
+        }
+        if (id !== undefined && (typeof id !== 'string' || !MUSEUM_ID_PATTERN.test(id))) {
+            throw new CuratorError(400, 'Museum ids may only use lowercase letters, digits and dashes (up to 40)');
+        }
+
+        const museumId = id || generateId(title);
+        await fs.mkdir(museumsDir, { recursive: true });
+        try {
+            await fs.mkdir(dirFor(museumId));
+        } catch (error) {
+            if (error.code === 'EEXIST') {
+                throw new CuratorError(409, `There is already a museum called ${museumId}`);
+            }
+            throw error;
+        }
+
+        await fs.mkdir(path.join(dirFor(museumId), 'images'));
+        await fs.writeFile(
+            path.join(dirFor(museumId), 'exhibit.json'),
+            JSON.stringify({ title: title.trim(), artworks: [] }, null, 4) + '\n'
+        );
+        return describe(museumId);
+    }
+
+    async function remove(id) {
+        if (!MUSEUM_ID_PATTERN.test(id) || !(await exists(id))) {
+            throw new CuratorError(404, `There is no museum called ${id}`);
+        }
+        open.delete(id);
+        await fs.rm(dirFor(id), { recursive: true, force: true });
+    }
+
+    return { get, list, create, remove };
+}
+
+function generateId(title) {
+    const slug = title.toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 30)
+        .replace(/-+$/, '');
+    const suffix = crypto.randomBytes(3).toString('hex');
+    return slug ? `${slug}-${suffix}` : suffix;
+}
+
+// API for creating, listing and deleting museums. Listing is protected too,
+// since a museum's id is all it takes to visit it.
+function createMuseumAdminRouter({ registry, token }) {
+    const router = express.Router();
+
+    router.use(express.json());
+    router.use(requireCuratorToken(token, true));
+
+    router.get('/', async (req, res) => {
+        try {
+            res.json({ museums: await registry.list() });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.post('/', async (req, res) => {
+        try {
+            const body = req.body || {};
+            const museum = await registry.create({ id: body.id || undefined, title: body.title });
+            res.status(201).json({ museum });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/:museumId', async (req, res) => {
+        try {
+            await registry.remove(req.params.museumId);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createMuseumAdminRouter,
+    createMuseumRegistry,
+    openMuseum
+};
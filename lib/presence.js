@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const MAX_NAME_LENGTH = 24;
+const MAX_MESSAGE_BYTES = 1024;
+
+// Who is walking around which museum, shared over WebSockets.
+//
+// Visitors connect to api/presence under their museum's address and say
+// hello with a name and whether they want to host. Everyone in the same
+// museum hears about each other's moves, and about the host's zooming in on
+// an artwork so followers can be pulled along. Messages are JSON with a
+// "type" of hello, move, zoom or unzoom from visitors, and welcome, join,
+// move, zoom, unzoom or leave from the server.
+function attachPresence(server, { findMuseum }) {
+    const sockets = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+    const museums = new Map(); // Museum id ('' for the main museum) -> Map of visitors by id
+
+    server.on('upgrade', async (req, socket, head) => {
+        try {
+            const museumId = await museumForPath(new URL(req.url, 'http://localhost').pathname, findMuseum);
+            if (museumId === null) {
+                socket.destroy();
+                return;
+            }
+            sockets.handleUpgrade(req, socket, head, ws => welcome(ws, museumId));
+        } catch (error) {
+            // A malformed address or a museum lookup failing mustn't take the server down
+            console.warn(`Refusing presence connection to ${req.url}:`, error.message);
+            socket.destroy();
+        }
+    });
+
+    function welcome(ws, museumId) {
+        if (!museums.has(museumId)) {
+            museums.set(museumId, new Map());
+        }
+        const visitors = museums.get(museumId);
+        const visitor = { id: crypto.randomUUID(), name: null, host: false, position: [0, 2, 0], rotation: [0, 0], ws };
+
+        const broadcast = message => {
+            const data = JSON.stringify(message);
+            visitors.forEach(other => {
+                if (other !== visitor && other.name !== null && other.ws.readyState === other.ws.OPEN) {
+                    other.ws.send(data);
+                }
+            });
+        };
+
+        ws.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                return;
+            }
+            if (!message || typeof message !== 'object') return;
+
+            if (message.type === 'hello' && visitor.name === null) {
+                visitor.name = cleanName(message.name);
+                // Only one host per museum; later claims join as ordinary visitors
+                visitor.host = message.host === true && ![...visitors.values()].some(other => other.host);
+                visitors.set(visitor.id, visitor);
+
+                ws.send(JSON.stringify({
+                    type: 'welcome',
+                    id: visitor.id,
+                    host: visitor.host,
+                    visitors: [...visitors.values()].filter(other => other !== visitor).map(describe)
+                }));
+                broadcast({ type: 'join', visitor: describe(visitor) });
+                return;
+            }
+            if (visitor.name === null) return;
+
+            if (message.type === 'move' && isVector(message.position, 3) && isVector(message.rotation, 2)) {
+                visitor.position = message.position;
+                visitor.rotation = message.rotation;
+                broadcast({ type: 'move', id: visitor.id, position: visitor.position, rotation: visitor.rotation });
+            } else if (message.type === 'zoom' && visitor.host && typeof message.artwork === 'string') {
+                broadcast({ type: 'zoom', id: visitor.id, artwork: message.artwork.slice(0, 500) });
+            } else if (message.type === 'unzoom' && visitor.host) {
+                broadcast({ type: 'unzoom', id: visitor.id });
+            }
+        });
+
+        // Oversized or malformed frames end up here; only this visitor is dropped
+        ws.on('error', error => {
+            console.warn('Presence connection failed:', error.message);
+            ws.terminate();
+        });
+
+        ws.on('close', () => {
+            if (!visitors.delete(visitor.id)) return;
+            broadcast({ type: 'leave', id: visitor.id });
+            if (visitors.size === 0) {
+                museums.delete(museumId);
+            }
+        });
+    }
+
+    return sockets;
+}
+
+// The museum a presence address belongs to, or null if it isn't one
+async function museumForPath(pathname, findMuseum) {
+    if (pathname === '/api/presence') {
+        return '';
+    }
+    const match = pathname.match(/^\/m\/([^/]+)\/api\/presence$/);
+    if (match && await findMuseum(match[1])) {
+        return match[1];
+    }
+    return null;
+}
+
+function describe(visitor) {
+    return {
+        id: visitor.id,
+        name: visitor.name,
+        host: visitor.host,
+        position: visitor.position,
+        rotation: visitor.rotation
+    };
+}
+
+function cleanName(name) {
+    const cleaned = typeof name === 'string'
+        ? name.replace(/[\u0000-\u001f\u007f<>]/g, '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH)
+        : '';
+    return cleaned || 'Visitor';
+}
+
+function isVector(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
+
+module.exports = { attachPresence };
@@ -1,50 +1,186 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import { VRButton } from 'three/addons/webxr/VRButton.js';
+import { loadManifest, loadDiscoveredArtworks, mergeArtworks, getArtworkKind, DEFAULT_TOUR } from './js/manifest.js';
+import { loadVideoTexture, loadAnimatedTexture } from './js/media.js';
+import { createMuseumAudio } from './js/audio.js';
+import { getTheme, getThemeText } from './js/themes.js';
+import { readPersonalization } from './js/personalization.js';
+import { fitText } from './js/canvas-text.js';
+import {
+    GUESTBOOK_WIDTH,
+    GUESTBOOK_HEIGHT,
+    createGuestbookBoard,
+    loadGuestbook,
+    signGuestbook,
+    watchGuestbook
+} from './js/guestbook.js';
+import { connectPresence, presenceUrl } from './js/presence.js';
+import { createAvatar, setAvatarTarget, updateAvatar, disposeAvatar } from './js/avatars.js';
+import { createRoomWalls, layoutArtworks, reservedSpansFromObstacles } from './js/layout.js';
+import { orderArtworks } from './js/artwork-order.js';
+import { createTour } from './js/tour.js';
+import { createCameraTransitions, prefersReducedMotion } from './js/transitions.js';
+import { createArtworkPicker, setArtworkHighlight, artworkForObject, SCREEN_CENTER } from './js/picking.js';
+import { isTouchDevice, createTouchControls, lookBy } from './js/touch-controls.js';
+import { createGamepadInput } from './js/gamepad.js';
+import { turnCamera } from './js/look.js';
+import { createXRControls, createXRInfoPanel } from './js/xr.js';
+import { createMapView } from './js/minimap.js';
+import { createCollisionWorld } from './js/collision.js';
+import { createFixedTimestep, createVisitor, placeVisitor, interpolateVisitor, stepVisitor } from './js/simulation.js';
+import {
+    KEY_ACTIONS, SETTING_RANGES, SETTING_SWITCHES, defaultSettings, loadSettings, saveSettings, actionForKey, bindKey,
+    keyName
+} from './js/settings.js';
+import {
+    createFloorPlan, getRoomOpenings, getSharedWalls, findRoom, findNearestRoom, isWalkable,
+    clampToRoom, clampToFloorPlan, distanceToFloorPlan
+} from './js/floorplan.js';
 
 let camera, scene, renderer, controls;
+let cameraTransitions;
+let museumAudio;
 let moveForward = false;
 let moveBackward = false;
 let moveLeft = false;
 let moveRight = false;
-let isJumping = false;
-let jumpVelocity = 0;
 const GRAVITY = -30;
 const JUMP_FORCE = 10;
-let canJump = true;
-let prevTime = performance.now();
-let velocity = new THREE.Vector3();
+const VISITOR_RADIUS = 0.5; // How close the visitor can get to walls and furniture
+const STEP_HEIGHT = 0.4; // Anything this low can be stepped onto without jumping
+const HEAD_CLEARANCE = 0.2; // Room above the eyes that the visitor's head takes up
+let jumpRequested = false; // Jump was pressed and the next simulation step hasn't jumped yet
 let direction = new THREE.Vector3();
 let isZooming = false;
 let artworks = [];
-let furniture = []; // Array to store furniture for collision detection
+const collisionWorld = createCollisionWorld(); // Walls and furniture (see js/collision.js)
+let colliderView = null; // Wireframes of the collision boxes, while they're shown
+let wallPieces = []; // Wall meshes, which hide artworks behind them from picking
+let artworkPicker;
+let hoveredArtwork = null; // The artwork under the crosshair (or the mouse, when it's free)
+const pointerPosition = new THREE.Vector2(); // Mouse position in normalized device coordinates
+let isPointerOnPage = false;
+const isTouchMode = isTouchDevice(); // Phones and tablets get a joystick instead of pointer lock
+let touchControls = null;
+const MAX_PINCH_ZOOM = 4; // How far pinching can magnify the zoom view
+let gamepad;
+let isUsingGamepad = false; // Whether the controller was used more recently than the mouse and keyboard
+let gamepadStatusTimer = null;
+let floorPieces = []; // Floor meshes, for teleporting onto in VR
+let xrControls, xrInfoPanel;
+const XR_POINTER_DISTANCE = 20; // How far the VR controllers' lasers reach
+let settings = loadSettings(); // Key bindings, speeds, field of view and eye height (see js/settings.js)
+// Walking, jumping and falling, simulated in fixed steps (see js/simulation.js)
+const timestep = createFixedTimestep();
+const visitor = createVisitor({ x: 0, y: settings.headHeight, z: 0 });
+const facingRight = new THREE.Vector3();
+let isWalking = false; // Whether the last frame was simulated, rather than the camera moved for the visitor
+let keyboardLayout = null; // Names of the keys in the visitor's keyboard layout, where the browser knows them
+let isSettingsOpen = false;
+let rebindingAction = null; // The action waiting for a new key in the settings panel
+let minimap, fullMap;
+let isMapOpen = false;
+const viewedArtworks = new Set(); // Infos of the artworks the visitor has opened
+const FAST_TRAVEL_DISTANCE = 4; // How far from an artwork the map takes the visitor
+const mapDirection = new THREE.Vector3();
 
 // Museum dimensions
 const ROOM_WIDTH = 50;
 const ROOM_HEIGHT = 6;
 const ROOM_LENGTH = 30;
+const WALL_MARGIN = 1; // How far from the walls the visitor is put when moved somewhere
+const WALL_THICKNESS = 0.2; // Of the walls' collision boxes
+
+// The museum is a single room unless the exhibit manifest lays out more
+const DEFAULT_ROOM = { id: 'main', title: 'Main hall', width: ROOM_WIDTH, length: ROOM_LENGTH, x: 0, z: 0 };
+let floorPlan = createFloorPlan([DEFAULT_ROOM]);
+let museumBuilt = false;
+let layoutProblems = []; // Artworks that didn't fit on the walls
+let guestbookBoard = null;
+let guestbookSpan = null; // Wall space the guestbook takes, kept clear of artworks
+let guestbookEntries = [];
+let isGuestbookOpen = false;
+
+// The page address can override the theme and personalization the manifest
+// picks, and says whether this visitor hosts or follows (see below)
+const PAGE_PARAMS = new URLSearchParams(window.location.search);
+
+// Other visitors. Open the page with ?host=1 to lead a group, and followers
+// (F to toggle, or ?follow=1) are taken to whatever the host zooms in on.
+const PRESENCE_SEND_INTERVAL = 100; // Milliseconds between position updates
+let presence = null;
+let isHost = PAGE_PARAMS.get('host') === '1';
+let followHost = PAGE_PARAMS.get('follow') === '1';
+let hostId = null;
+const avatars = new Map();
+let lastPresenceSend = 0;
+let lastPresenceState = '';
+let lastFrameTime = performance.now();
+
+let theme, themeText;
+
+// Sizes the ceiling sign's text may shrink between to fit
+const SIGN_MAX_FONT_SIZE = 90;
+const SIGN_MIN_FONT_SIZE = 36;
 
 // Artwork dimensions
 const FRAME_DEPTH = 0.1;
 const MAX_ARTWORK_DIMENSION = 5; // Maximum size for any dimension to keep artworks reasonably sized
+const LAMP_CLEARANCE = 0.9; // Room kept above and below an artwork so its picture lamp fits under the ceiling
+const MIN_ARTWORK_GAP = 1.5; // Minimum space between neighbouring artworks on a wall
+const PLACEHOLDER_ASPECT_RATIO = 4 / 3; // Shape of the stand-in for an image that failed to load
+const TEXTURE_TIMEOUT = 20000; // Give up waiting for an image after this many milliseconds
+const MEDIA_PLAY_DISTANCE = 12; // Videos and animations play while the visitor is this close
+
+// Exhibit manifest describing the artworks (see js/manifest.js for the format)
+const EXHIBIT_MANIFEST_URL = 'exhibit.json';
+// Server endpoint listing every image in the images folder
+const EXHIBITS_API_URL = 'api/exhibits';
+const GUESTBOOK_URL = 'api/guestbook';
+const GUESTBOOK_BOTTOM = 1; // Height of the guestbook board's lower edge
+
+// Frame looks that an artwork can pick in the manifest
+const FRAME_STYLES = {
+    classic: { color: 0x4a4a4a, roughness: 0.5, metalness: 0.5, thickness: 0.1 },
+    gold: { color: 0xc9a441, roughness: 0.3, metalness: 0.9, thickness: 0.15 },
+    wood: { color: 0x6b4423, roughness: 0.8, metalness: 0.1, thickness: 0.12 },
+    none: null
+};
 
 // Add variables to store original camera position and rotation
 let originalCameraPosition = null;
 let originalCameraRotation = null;
+const ZOOM_TRANSITION_DURATION = 0.8; // Seconds to glide up to an artwork and back
+let zoomedArtwork = null; // The artwork being viewed up close
+let exhibitList = []; // Artwork infos in the order the manifest and images folder give them
+let tourSettings = DEFAULT_TOUR;
+let tour = null; // The guided tour, while one is running
+let browseOrder = 'wall'; // Order of the next/previous buttons and the artwork list
+let isArtworkListOpen = false;
 
 init();
-animate();
+// The renderer runs the loop so it can hand it over to a VR headset
+renderer.setAnimationLoop(animate);
 
 function init() {
+    chooseTheme(null);
     scene = new THREE.Scene();
-    scene.background = new THREE.Color(0xf5f5f5); // Light gray background
+    scene.background = new THREE.Color(theme.palette.background);
 
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.y = 2;
+    camera = new THREE.PerspectiveCamera(settings.fov, window.innerWidth / window.innerHeight, 0.1, 1000);
+    camera.position.y = settings.headHeight;
+    cameraTransitions = createCameraTransitions(camera, { reducedMotion: isMotionReduced });
+    artworkPicker = createArtworkPicker(camera);
 
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.shadowMap.enabled = true;
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    renderer.xr.enabled = true;
+    // The scene itself means nothing to a screen reader; the gallery list describes it instead
+    renderer.domElement.setAttribute('role', 'img');
+    renderer.domElement.setAttribute('aria-label', 'The 3D museum. Every artwork is also in the gallery list.');
     document.body.appendChild(renderer.domElement);
 
     // Create loading manager for textures
@@ -56,22 +192,16 @@ function init() {
     const loadingText = document.getElementById('loading-text');
     
     loadingManager.onStart = function(url, itemsLoaded, itemsTotal) {
-        console.log('Started loading: ' + url);
+        debugLog('Started loading: ' + url);
         loadingText.textContent = 'Started loading: ' + url.split('/').pop();
     };
 
     loadingManager.onLoad = function() {
-        console.log('Loading complete!');
-        // Hide loading screen with a fade out effect
-        loadingContainer.style.transition = 'opacity 1s';
-        loadingContainer.style.opacity = 0;
-        setTimeout(() => {
-            loadingContainer.style.display = 'none';
-        }, 1000);
+        debugLog('Loading complete!');
     };
 
     loadingManager.onProgress = function(url, itemsLoaded, itemsTotal) {
-        console.log('Loading file: ' + url + ' (' + itemsLoaded + '/' + itemsTotal + ')');
+        debugLog('Loading file: ' + url + ' (' + itemsLoaded + '/' + itemsTotal + ')');
         
         // Update loading bar
         const progress = (itemsLoaded / itemsTotal) * 100;
@@ -90,15 +220,116 @@ function init() {
     // Store loading manager in a global variable to use in other functions
     window.textureLoadingManager = loadingManager;
 
-    // Create floor with gradient
-    const floorGeometry = new THREE.PlaneGeometry(ROOM_WIDTH, ROOM_LENGTH);
+    // Sound follows the camera
+    museumAudio = createMuseumAudio(camera);
+    setupAudioControls();
+
+    // Controls
+    controls = new PointerLockControls(camera, document.body);
+
+    document.addEventListener('click', function () {
+        if (renderer.xr.isPresenting) return;
+        
+        // The first click is also what browsers wait for before allowing sound
+        museumAudio.start();
+        
+        // Clicking an artwork opens it, with or without pointer lock
+        if (hoveredArtwork) {
+            zoomToArtwork(hoveredArtwork);
+            return;
+        }
+        
+        // The tour steers the camera, so the mouse mustn't
+        if (!tour) {
+            lockControls();
+        }
+    });
+    
+    // Track the mouse for picking artworks while the pointer is free
+    document.addEventListener('mousemove', function (event) {
+        pointerPosition.set(
+            (event.clientX / window.innerWidth) * 2 - 1,
+            -(event.clientY / window.innerHeight) * 2 + 1
+        );
+        // Not while over a panel or button
+        isPointerOnPage = event.target === renderer.domElement;
+        useGamepad(false);
+    });
+    document.addEventListener('mouseleave', function () {
+        isPointerOnPage = false;
+    });
+    
+    if (isTouchMode) {
+        setupTouchControls();
+    }
+    setupGamepad();
+    setupXR();
+    
+    // The crosshair only means something while the mouse or a controller steers the view
+    controls.addEventListener('lock', updateCrosshair);
+    controls.addEventListener('unlock', updateCrosshair);
+
+    // Rooms and Artwork
+    loadExhibit();
+    setupMediaControls();
+
+    // Movement controls
+    document.addEventListener('keydown', () => useGamepad(false));
+    document.addEventListener('keydown', onKeyDown);
+    document.addEventListener('keyup', onKeyUp);
+
+    // Window resize handler
+    window.addEventListener('resize', onWindowResize, false);
+
+    setupGuestbookForm();
+    setupArtworkBrowsing();
+    setupTourControls();
+    setupPresence();
+    setupSettingsPanel();
+    setupMaps();
+
+    // Add a key binding for emergency reset
+    document.addEventListener('keydown', function(event) {
+        if (isTyping(event) || isSettingsOpen) return;
+        
+        // Press the reset key (R) to reset position if stuck outside
+        if (getKeyAction(event) === 'reset') {
+            debugLog("Emergency reset triggered");
+            emergencyReset();
+        }
+    });
+}
+
+// Build every room of the floor plan, then decorate the first one
+function buildMuseum(plan) {
+    floorPlan = plan;
+    museumBuilt = true;
+    scene.background = new THREE.Color(theme.palette.background);
+
+    // Visitors start in the middle of the first room
+    camera.position.set(plan.rooms[0].x, settings.headHeight, plan.rooms[0].z);
+    placeVisitor(visitor, camera.position);
+
+    // Enhanced Lighting
+    setupLighting();
+
+    // Walls
+    createWalls();
+
+    // Guestbook
+    createGuestbook();
+}
+
+// Create floor with gradient
+function createFloor(room) {
+    const floorGeometry = new THREE.PlaneGeometry(room.width, room.length);
     
     // Custom shader material for gradient floor
     const floorMaterial = new THREE.ShaderMaterial({
         uniforms: {
             lightPosition: { value: new THREE.Vector3(0, ROOM_HEIGHT - 0.5, 0) },
-            darkColor: { value: new THREE.Color(0x48494B) },
-            lightColor: { value: new THREE.Color(0x777B7E) }
+            darkColor: { value: new THREE.Color(theme.palette.floorDark) },
+            lightColor: { value: new THREE.Color(theme.palette.floorLight) }
         },
         vertexShader: `
             varying vec2 vUv;
@@ -129,38 +360,10 @@ function init() {
 
     const floor = new THREE.Mesh(floorGeometry, floorMaterial);
     floor.rotation.x = -Math.PI / 2;
+    floor.position.set(room.x, 0, room.z);
     floor.receiveShadow = true;
     scene.add(floor);
-
-    // Enhanced Lighting
-    setupLighting();
-
-    // Controls
-    controls = new PointerLockControls(camera, document.body);
-
-    document.addEventListener('click', function () {
-        controls.lock();
-    });
-
-    // Walls and Artwork
-    createWalls();
-    createArtworks();
-
-    // Movement controls
-    document.addEventListener('keydown', onKeyDown);
-    document.addEventListener('keyup', onKeyUp);
-
-    // Window resize handler
-    window.addEventListener('resize', onWindowResize, false);
-
-    // Add a key binding for emergency reset
-    document.addEventListener('keydown', function(event) {
-        // Press 'R' key to reset position if stuck outside
-        if (event.code === 'KeyR') {
-            debugLog("Emergency reset triggered");
-            emergencyReset();
-        }
-    });
+    floorPieces.push(floor);
 }
 
 function setupLighting() {
@@ -168,32 +371,39 @@ function setupLighting() {
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
     scene.add(ambientLight);
 
+    // Only the first room's track lights cast shadows, to stay within the GPU's texture limits
+    floorPlan.rooms.forEach((room, index) => furnishRoom(room, index === 0));
+}
+
+// Track lights, vents, planters and benches for one room
+function furnishRoom(room, castShadows) {
+
     // Create track lighting system
     const trackLights = [];
     const trackPositions = [
         // Two parallel tracks along the length of the room
-        { start: new THREE.Vector3(-15, ROOM_HEIGHT - 0.2, -ROOM_LENGTH/2 + 5), end: new THREE.Vector3(-15, ROOM_HEIGHT - 0.2, ROOM_LENGTH/2 - 5) },
-        { start: new THREE.Vector3(15, ROOM_HEIGHT - 0.2, -ROOM_LENGTH/2 + 5), end: new THREE.Vector3(15, ROOM_HEIGHT - 0.2, ROOM_LENGTH/2 - 5) }
+        { start: new THREE.Vector3(room.x - room.width * 0.3, ROOM_HEIGHT - 0.2, room.z - room.length/2 + 5), end: new THREE.Vector3(room.x - room.width * 0.3, ROOM_HEIGHT - 0.2, room.z + room.length/2 - 5) },
+        { start: new THREE.Vector3(room.x + room.width * 0.3, ROOM_HEIGHT - 0.2, room.z - room.length/2 + 5), end: new THREE.Vector3(room.x + room.width * 0.3, ROOM_HEIGHT - 0.2, room.z + room.length/2 - 5) }
     ];
 
     // Create track lighting
     trackPositions.forEach(track => {
         // Create track
-        const trackGeometry = new THREE.BoxGeometry(0.2, 0.1, ROOM_LENGTH - 10);
+        const trackGeometry = new THREE.BoxGeometry(0.2, 0.1, room.length - 10);
         const trackMaterial = new THREE.MeshStandardMaterial({ color: 0x2a2a2a });
         const trackMesh = new THREE.Mesh(trackGeometry, trackMaterial);
-        trackMesh.position.set(track.start.x, track.start.y, 0);
+        trackMesh.position.set(track.start.x, track.start.y, room.z);
         scene.add(trackMesh);
 
         // Add lights along the track - slightly dimmer to make picture lamps stand out
-        for (let z = -ROOM_LENGTH/2 + 5; z <= ROOM_LENGTH/2 - 5; z += 5) {
+        for (let z = room.z - room.length/2 + 5; z <= room.z + room.length/2 - 5; z += 5) {
             const light = new THREE.SpotLight(0xffffff, 20);
             light.position.set(track.start.x, ROOM_HEIGHT - 0.3, z);
             light.angle = Math.PI / 6;
             light.penumbra = 0.5;
             light.decay = 1.5;
             light.distance = 15;
-            light.castShadow = true;
+            light.castShadow = castShadows;
             scene.add(light);
 
             // Add light fixture
@@ -240,9 +450,9 @@ function setupLighting() {
     };
 
     // Add vents in a grid pattern
-    for (let x = -ROOM_WIDTH/3; x <= ROOM_WIDTH/3; x += ROOM_WIDTH/3) {
-        for (let z = -ROOM_LENGTH/3; z <= ROOM_LENGTH/3; z += ROOM_LENGTH/3) {
-            scene.add(createVent(x, z));
+    for (let x = -room.width/3; x <= room.width/3; x += room.width/3) {
+        for (let z = -room.length/3; z <= room.length/3; z += room.length/3) {
+            scene.add(createVent(room.x + x, room.z + z));
         }
     }
 
@@ -274,21 +484,16 @@ function setupLighting() {
         
         planterGroup.position.set(x, 0, z);
 
-        // Add to furniture array for collision detection
-        furniture.push({
-            type: 'planter',
-            position: new THREE.Vector3(x, 0, z),
-            dimensions: new THREE.Vector3(2, 3, 2)
-        });
+        collisionWorld.addBox({ type: 'planter', x, z, width: 2, depth: 2, height: 3 });
         
         return planterGroup;
     };
 
     // Add planters in corners
-    scene.add(createPlanter(-ROOM_WIDTH/2 + 2, -ROOM_LENGTH/2 + 2));
-    scene.add(createPlanter(-ROOM_WIDTH/2 + 2, ROOM_LENGTH/2 - 2));
-    scene.add(createPlanter(ROOM_WIDTH/2 - 2, -ROOM_LENGTH/2 + 2));
-    scene.add(createPlanter(ROOM_WIDTH/2 - 2, ROOM_LENGTH/2 - 2));
+    scene.add(createPlanter(room.minX + 2, room.minZ + 2));
+    scene.add(createPlanter(room.minX + 2, room.maxZ - 2));
+    scene.add(createPlanter(room.maxX - 2, room.minZ + 2));
+    scene.add(createPlanter(room.maxX - 2, room.maxZ - 2));
 
     // Add benches
     const createBench = (x, z, rotation) => {
@@ -385,34 +590,42 @@ function setupLighting() {
         benchGroup.position.set(x, 0, z);
         benchGroup.rotation.y = rotation;
         
-        // Add to furniture array for collision detection
-        furniture.push({
+        collisionWorld.addBox({
             type: 'bench',
-            position: new THREE.Vector3(x, 0, z),
-            dimensions: new THREE.Vector3(benchWidth, benchHeight, benchDepth),
-            rotation: rotation
+            x,
+            z,
+            width: benchWidth,
+            depth: benchDepth,
+            height: benchHeight,
+            rotation
         });
         
         return benchGroup;
     };
 
     // Add benches in the room
-    scene.add(createBench(0, -ROOM_LENGTH/4, 0));
-    scene.add(createBench(0, ROOM_LENGTH/4, 0));
+    scene.add(createBench(room.x, room.z - room.length/4, 0));
+    scene.add(createBench(room.x, room.z + room.length/4, 0));
 }
 
-function createArtworkFrame(width, height, depth) {
+function createArtworkFrame(width, height, depth, style = 'classic') {
     const frame = new THREE.Group();
+    const frameStyle = FRAME_STYLES[style];
+
+    // Frameless artworks just hang on the wall
+    if (!frameStyle) {
+        return frame;
+    }
     
     // Frame material
     const frameMaterial = new THREE.MeshStandardMaterial({
-        color: 0x4a4a4a,
-        roughness: 0.5,
-        metalness: 0.5
+        color: frameStyle.color,
+        roughness: frameStyle.roughness,
+        metalness: frameStyle.metalness
     });
 
     // Create frame pieces
-    const frameThickness = 0.1;
+    const frameThickness = frameStyle.thickness;
     
     // Top
     const topGeometry = new THREE.BoxGeometry(width + frameThickness * 2, frameThickness, depth);
@@ -439,158 +652,345 @@ function createArtworkFrame(width, height, depth) {
     return frame;
 }
 
-function createArtworks() {
-    // Create a texture loader with the loading manager
-    const textureLoader = new THREE.TextureLoader(window.textureLoadingManager);
-    
-    // Array of image paths
-    const imagePaths = [
-        'images/img1.jpg',
-        'images/img2.jpg',
-        'images/img3.jpg',
-        'images/img4.jpg',
-        'images/img5.jpg',
-        'images/img6.jpg',
-        'images/img7.jpg',
-        'images/img8.jpg',
-        'images/img9.jpg',
-        'images/img10.jpg',
-        'images/img11.jpg'
-    ];
-    
-    // Artwork titles and descriptions
-    const artworkInfo = [
-        { 
-            title: "3-1-25", 
-            description: "We are going to rezz every time." 
-        },
-        { 
-            title: "10-19-24", 
-            description: "Your laugh is my favorite sound in the world. I fall more in love with you every day." 
-        },
-        { 
-            title: "10-12-24", 
-            description: "First rave togetherrrrr. I love you happy birthday sweet 23." 
-        },
-        { 
-            title: "9-23-24", 
-            description: "Are you a high-resolution camera? Because every time I see you, you make my world ultra HD." 
-        },
-        { 
-            title: "10-26-24", 
-            description: "Are you Remy? Because you've taken control of my heart just like you took control of Linguini!💕🐭🍝" 
-        },
-        { 
-            title: "12-31-24", 
-            description: "Miles of road, music playing, and your hand in mine. I'd drive anywhere as long as you're by my side." 
-        },
-        { 
-            title: "2-14-25", 
-            description: "Your cuddles are the best part of my day. ❤️" 
-        },
-        { 
-            title: "8-11-24", 
-            description: "Are you a squat rack? Because I can't resist getting under you." 
-        },
-        { 
-            title: "idk the date", 
-            description: "Sunshine, sandwiches, and your sweet kisses. Simple joys become treasures when I'm with you. You're the cherry on top of my life." 
-        },
-        { 
-            title: "10-13-24", 
-            description: "Are you my remedy? Because in the chaos of life, you're the clarity that keeps me sane.💖🎶" 
-        },
-        { 
-            title: "2-14-25", 
-            description: "Thank you for sharing your heart with me. I promise to cherish it always. Forever yours. ❤️" 
-        }
-    ];
-    
-    // Create 11 artworks
-    const artworkPositions = [
-        // Left wall
-        { position: new THREE.Vector3(-ROOM_WIDTH/2 + 0.2, ROOM_HEIGHT/2, -10), rotation: Math.PI/2 },
-        { position: new THREE.Vector3(-ROOM_WIDTH/2 + 0.2, ROOM_HEIGHT/2, 0), rotation: Math.PI/2 },
-        { position: new THREE.Vector3(-ROOM_WIDTH/2 + 0.2, ROOM_HEIGHT/2, 10), rotation: Math.PI/2 },
-        
-        // Right wall
-        { position: new THREE.Vector3(ROOM_WIDTH/2 - 0.2, ROOM_HEIGHT/2, -10), rotation: -Math.PI/2 },
-        { position: new THREE.Vector3(ROOM_WIDTH/2 - 0.2, ROOM_HEIGHT/2, 0), rotation: -Math.PI/2 },
-        { position: new THREE.Vector3(ROOM_WIDTH/2 - 0.2, ROOM_HEIGHT/2, 10), rotation: -Math.PI/2 },
-        
-        // Back wall
-        { position: new THREE.Vector3(-15, ROOM_HEIGHT/2, -ROOM_LENGTH/2 + 0.2), rotation: 0 },
-        { position: new THREE.Vector3(-5, ROOM_HEIGHT/2, -ROOM_LENGTH/2 + 0.2), rotation: 0 },
-        { position: new THREE.Vector3(5, ROOM_HEIGHT/2, -ROOM_LENGTH/2 + 0.2), rotation: 0 },
-        { position: new THREE.Vector3(15, ROOM_HEIGHT/2, -ROOM_LENGTH/2 + 0.2), rotation: 0 },
-        
-        // Front wall center
-        { position: new THREE.Vector3(0, ROOM_HEIGHT/2, ROOM_LENGTH/2 - 0.2), rotation: Math.PI },
-    ];
+// Load the exhibit manifest and whatever the server finds in the images
+// folder, then hang the artworks
+function loadExhibit() {
+    Promise.allSettled([loadManifest(EXHIBIT_MANIFEST_URL), loadDiscoveredArtworks(EXHIBITS_API_URL)])
+        .then(([manifestResult, discoveredResult]) => {
+            // A broken manifest is reported rather than quietly replaced by the folder contents
+            if (manifestResult.status === 'rejected' && !manifestResult.reason.missing) {
+                throw manifestResult.reason;
+            }
+            if (manifestResult.status === 'rejected' && discoveredResult.status === 'rejected') {
+                throw manifestResult.reason;
+            }
 
-    // Load each image and create artwork with proper dimensions
-    imagePaths.forEach((path, index) => {
-        const texture = textureLoader.load(path, (loadedTexture) => {
-            // Get the image dimensions from the loaded texture
-            const imageWidth = loadedTexture.image.width;
-            const imageHeight = loadedTexture.image.height;
-            
-            // Calculate aspect ratio
-            const aspectRatio = imageWidth / imageHeight;
-            
-            // Determine artwork dimensions while maintaining aspect ratio
-            // and ensuring it's not too large for the museum
-            let artworkWidth, artworkHeight;
-            
-            if (aspectRatio >= 1) {
-                // Landscape or square image
-                artworkWidth = Math.min(MAX_ARTWORK_DIMENSION, 4);
-                artworkHeight = artworkWidth / aspectRatio;
+            const manifest = manifestResult.status === 'fulfilled' ? manifestResult.value : null;
+            const manifestArtworks = manifest ? manifest.artworks : [];
+            if (manifest) {
+                museumAudio.setSoundtrack(manifest);
+                chooseTheme(manifest);
+                tourSettings = manifest.tour;
+            }
+            buildMuseum(manifest && manifest.rooms.length > 0
+                ? createFloorPlan(manifest.rooms, manifest.doorways)
+                : createFloorPlan([DEFAULT_ROOM]));
+
+            let discoveredArtworks = [];
+            if (discoveredResult.status === 'fulfilled') {
+                discoveredArtworks = discoveredResult.value;
             } else {
-                // Portrait image
-                artworkHeight = Math.min(MAX_ARTWORK_DIMENSION, 4);
-                artworkWidth = artworkHeight * aspectRatio;
+                debugLog('Image discovery unavailable, using the manifest only:', discoveredResult.reason.message);
             }
-            
-            // Create artwork geometry with the proper dimensions
-            const artworkGeometry = new THREE.PlaneGeometry(artworkWidth, artworkHeight);
-            
-            // Create artwork material with the loaded texture
-            const artworkMaterial = new THREE.MeshStandardMaterial({
-                map: loadedTexture,
-                roughness: 0.7,
-                metalness: 0.2
+
+            const artworkList = mergeArtworks(manifestArtworks, discoveredArtworks);
+            exhibitList = artworkList;
+            debugLog(`Hanging ${artworkList.length} artworks (${manifestArtworks.length} from the manifest)`);
+            return createArtworks(artworkList);
+        })
+        .then(openArtworkFromHash)
+        .catch(error => {
+            console.error(error);
+            // Still give the visitor an empty room to stand in
+            if (!museumBuilt) {
+                buildMuseum(createFloorPlan([DEFAULT_ROOM]));
+            }
+            showLoadingErrors(error.problems && error.problems.length ? 'Exhibit manifest has problems:' : error.message, error.problems || []);
+            showLoadingActions(() => window.location.reload());
+        });
+}
+
+// Load an artwork's picture, clip or animation. Resolves with
+// { texture, width, height, player } (player only for moving artworks) or,
+// if it fails or takes too long, with { error } so one bad file can't hold
+// up the whole museum.
+function loadArtworkMedia(imageLoader, path) {
+    const manager = window.textureLoadingManager;
+    const kind = getArtworkKind(path);
+    // Cancels the download when it takes too long
+    const controller = new AbortController();
+
+    let loading;
+    if (kind === 'video') {
+        loading = loadVideoTexture(path, manager, controller.signal);
+    } else if (kind === 'animated') {
+        // GIFs and WebPs that turn out to be still are loaded like any other image
+        loading = loadAnimatedTexture(path, manager, controller.signal)
+            .then(result => result || loadStillTexture(imageLoader, path, controller.signal));
+    } else {
+        loading = loadStillTexture(imageLoader, path, controller.signal);
+    }
+
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            controller.abort();
+            resolve({ error: `took longer than ${TEXTURE_TIMEOUT / 1000} seconds to load` });
+        }, TEXTURE_TIMEOUT);
+
+        loading.then(result => {
+            clearTimeout(timer);
+            resolve(result);
+        }, () => {
+            clearTimeout(timer);
+            resolve({ error: 'could not be loaded' });
+        });
+    });
+}
+
+function loadStillTexture(imageLoader, path, signal) {
+    return new Promise((resolve, reject) => {
+        signal.throwIfAborted();
+        const image = imageLoader.load(path, () => {
+            const texture = new THREE.Texture(image);
+            texture.needsUpdate = true;
+            resolve({ texture, width: image.width, height: image.height, player: null });
+        }, undefined, reject);
+        // An empty source stops the download and fails the load
+        signal.addEventListener('abort', () => {
+            image.src = '';
+        }, { once: true });
+    });
+}
+
+// Stand-in picture for an image that failed to load
+function createPlaceholderTexture(title) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 1024;
+    canvas.height = 768;
+
+    context.fillStyle = '#3a3a3a';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Dashed border
+    context.strokeStyle = '#888888';
+    context.lineWidth = 8;
+    context.setLineDash([30, 20]);
+    context.strokeRect(40, 40, canvas.width - 80, canvas.height - 80);
+    context.setLineDash([]);
+
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = '#dddddd';
+    context.font = 'bold 70px Arial';
+    context.fillText('Image unavailable', canvas.width / 2, canvas.height / 2 - 60);
+    context.fillStyle = '#ff99cc';
+    context.font = '50px Arial';
+    context.fillText(title, canvas.width / 2, canvas.height / 2 + 40, canvas.width - 160);
+    context.fillStyle = '#aaaaaa';
+    context.font = '34px Arial';
+    context.fillText(`Press ${keyLabel('view')} to read its message`, canvas.width / 2, canvas.height / 2 + 120);
+
+    return new THREE.CanvasTexture(canvas);
+}
+
+// Determine artwork dimensions while maintaining aspect ratio
+// and ensuring it's not too large for the museum
+function getArtworkSize(aspectRatio) {
+    let artworkWidth, artworkHeight;
+    
+    if (aspectRatio >= 1) {
+        // Landscape or square image
+        artworkWidth = Math.min(MAX_ARTWORK_DIMENSION, 4);
+        artworkHeight = artworkWidth / aspectRatio;
+    } else {
+        // Portrait image
+        artworkHeight = Math.min(MAX_ARTWORK_DIMENSION, 4);
+        artworkWidth = artworkHeight * aspectRatio;
+    }
+    
+    return { width: artworkWidth, height: artworkHeight };
+}
+
+// Footprints of everything standing in the room, used to keep artworks clear of it
+function getWallObstacles() {
+    return collisionWorld.colliders
+        .filter(collider => collider.type !== 'wall')
+        .map(collider => collisionWorld.footprint(collider));
+}
+
+function createArtworks(artworkList) {
+    // Create an image loader with the loading manager
+    const imageLoader = new THREE.ImageLoader(window.textureLoadingManager);
+
+    // Every image has to be loaded before the layout knows how wide the artworks are
+    return Promise.all(artworkList.map(artworkInfo => loadArtworkMedia(imageLoader, artworkInfo.image)))
+        .then(results => {
+            // Images that failed still get a framed placeholder so their message can be read
+            const loaded = artworkList.map((artworkInfo, index) => {
+                const { texture, width, height, player, error } = results[index];
+                if (error) {
+                    console.error(`Artwork image ${artworkInfo.image} ${error}`);
+                    return { info: artworkInfo, texture: createPlaceholderTexture(artworkInfo.title), error };
+                }
+                return { info: artworkInfo, texture, aspectRatio: width / height, player };
             });
-            
-            const artwork = new THREE.Mesh(artworkGeometry, artworkMaterial);
-            
-            // Create frame that fits the artwork dimensions
-            const frame = createArtworkFrame(artworkWidth, artworkHeight, FRAME_DEPTH);
-            
-            const artworkGroup = new THREE.Group();
-            artworkGroup.add(artwork);
-            artworkGroup.add(frame);
-            
-            const pos = artworkPositions[index];
-            artworkGroup.position.copy(pos.position);
-            artworkGroup.rotation.y = pos.rotation;
-            
-            // Add picture lamp above the artwork
-            addPictureLamp(artworkGroup, artworkWidth, artworkHeight, pos.rotation);
-            
-            scene.add(artworkGroup);
-            artworks.push({
-                group: artworkGroup,
-                originalPosition: pos.position.clone(),
-                isZoomed: false,
-                imagePath: path,
-                title: artworkInfo[index].title,
-                description: artworkInfo[index].description,
-                width: artworkWidth,
-                height: artworkHeight
+
+            const items = loaded.map(({ info, aspectRatio, error }) => ({
+                ...getArtworkSize(error ? PLACEHOLDER_ASPECT_RATIO : aspectRatio),
+                wall: info.wall,
+                slot: info.slot
+            }));
+
+            // Each room lays out its own walls, keeping doorways clear
+            const overflow = [];
+            floorPlan.rooms.forEach(room => {
+                const indices = [];
+                loaded.forEach(({ info }, index) => {
+                    if ((info.room || floorPlan.rooms[0].id) === room.id) {
+                        indices.push(index);
+                    }
+                });
+                if (indices.length === 0) return;
+
+                const walls = createRoomWalls(room.width, room.length, room.x, room.z);
+                const reserved = reservedSpansFromObstacles(walls, getWallObstacles())
+                    .concat(getRoomOpenings(floorPlan, room))
+                    .concat(guestbookSpan && guestbookSpan.room === room.id ? [guestbookSpan] : []);
+                const layout = layoutArtworks(indices.map(index => items[index]), walls, reserved, {
+                    minGap: MIN_ARTWORK_GAP,
+                    maxDimension: MAX_ARTWORK_DIMENSION,
+                    maxHeight: ROOM_HEIGHT - LAMP_CLEARANCE * 2
+                });
+
+                if (layout.scale < 1) {
+                    debugLog(`Shrunk artworks in room "${room.id}" to ${Math.round(layout.scale * 100)}% to fit them on the walls`);
+                }
+
+                layout.placements.forEach(placement => {
+                    const { info, texture, player, error } = loaded[indices[placement.index]];
+                    artworks.push(hangArtwork(info, texture, placement, room, error, player));
+                });
+                overflow.push(...layout.overflow.map(index => indices[index]));
             });
+
+            layoutProblems = overflow.map(index => `No wall space left for "${loaded[index].info.title}" (${loaded[index].info.image})`);
+            if (layoutProblems.length > 0) {
+                console.warn(layoutProblems.join('\n'));
+            }
+            fillGallery();
+            reportArtworkProblems();
         });
+}
+
+// Show failed images and artworks that didn't fit on the loading screen, or
+// open the museum if everything is in place
+function reportArtworkProblems() {
+    const failed = artworks.filter(artwork => artwork.loadError);
+    const problems = failed
+        .map(artwork => `${artwork.imagePath.split('/').pop()} ${artwork.loadError} ("${artwork.title}" shows a placeholder)`)
+        .concat(layoutProblems);
+
+    if (problems.length === 0) {
+        hideLoadingScreen();
+        return;
+    }
+
+    showLoadingErrors(failed.length > 0 ? 'Some artworks could not be loaded:' : 'Some artworks did not fit on the walls:', problems);
+    showLoadingActions(failed.length > 0 ? retryFailedArtworks : null);
+}
+
+// Try the images that failed again, swapping each placeholder for the real picture
+function retryFailedArtworks() {
+    const imageLoader = new THREE.ImageLoader(window.textureLoadingManager);
+    const failed = artworks.filter(artwork => artwork.loadError);
+    const loadingText = document.getElementById('loading-text');
+    loadingText.textContent = `Retrying ${failed.length} image${failed.length === 1 ? '' : 's'}...`;
+    loadingText.style.color = '';
+
+    // Skip the browser cache so a file that has since appeared is picked up
+    const retryToken = Date.now();
+    return Promise.all(failed.map(artwork => {
+        const separator = artwork.imagePath.includes('?') ? '&' : '?';
+        return loadArtworkMedia(imageLoader, `${artwork.imagePath}${separator}retry=${retryToken}`)
+            .then(({ texture, width, height, player, error }) => {
+                if (error) {
+                    artwork.loadError = error;
+                    return;
+                }
+
+                // Fit the real picture inside the space the placeholder took up
+                const aspectRatio = width / height;
+                const placement = { ...artwork.placement };
+                if (aspectRatio >= placement.width / placement.height) {
+                    placement.height = placement.width / aspectRatio;
+                } else {
+                    placement.width = placement.height * aspectRatio;
+                }
+
+                scene.remove(artwork.group);
+                if (artwork.voiceNote) {
+                    museumAudio.removeVoiceNote(artwork.voiceNote);
+                }
+                const replacement = hangArtwork(artwork.info, texture, placement, artwork.room, null, player);
+                artworks[artworks.indexOf(artwork)] = replacement;
+            });
+    })).then(() => {
+        fillGallery();
+        reportArtworkProblems();
+    });
+}
+
+// Build an artwork with its frame and lamp at the spot the layout picked for it.
+// `loadError` marks an artwork that is showing a placeholder and `player`
+// controls playback of videos and animations.
+function hangArtwork(artworkInfo, texture, placement, room, loadError = null, player = null) {
+    const artworkWidth = placement.width;
+    const artworkHeight = placement.height;
+    
+    // Create artwork geometry with the proper dimensions
+    const artworkGeometry = new THREE.PlaneGeometry(artworkWidth, artworkHeight);
+    
+    // Create artwork material with the loaded texture
+    const artworkMaterial = new THREE.MeshStandardMaterial({
+        map: texture,
+        roughness: 0.7,
+        metalness: 0.2
     });
+    
+    const artwork = new THREE.Mesh(artworkGeometry, artworkMaterial);
+    
+    // Create frame that fits the artwork dimensions
+    const frame = createArtworkFrame(artworkWidth, artworkHeight, FRAME_DEPTH, artworkInfo.frame);
+    
+    const artworkGroup = new THREE.Group();
+    artworkGroup.add(artwork);
+    artworkGroup.add(frame);
+    
+    const position = new THREE.Vector3(placement.x, ROOM_HEIGHT/2, placement.z);
+    artworkGroup.position.copy(position);
+    artworkGroup.rotation.y = placement.rotation;
+    
+    // Add picture lamp above the artwork
+    const lamp = addPictureLamp(artworkGroup, artworkWidth, artworkHeight, placement.rotation);
+    
+    // A recorded message plays from the artwork itself
+    const voiceNoteMedia = artworkInfo.media.find(item => item.type === 'audio');
+    const voiceNote = voiceNoteMedia ? museumAudio.addVoiceNote(artworkGroup, voiceNoteMedia.src) : null;
+    
+    scene.add(artworkGroup);
+    return {
+        group: artworkGroup,
+        originalPosition: position.clone(),
+        isZoomed: false,
+        imagePath: artworkInfo.image,
+        title: artworkInfo.title,
+        description: artworkInfo.description,
+        alt: artworkInfo.alt, // What the picture shows, for screen readers
+        media: artworkInfo.media,
+        room: room,
+        wall: placement.wall,
+        width: artworkWidth,
+        height: artworkHeight,
+        info: artworkInfo,
+        placement: placement,
+        frame: frame,
+        lamp: lamp,
+        loadError: loadError,
+        player: player,
+        voiceNote: voiceNote,
+        userPaused: false // Paused with the controls while zoomed in
+    };
 }
 
 // Function to add a picture lamp above an artwork
@@ -680,8 +1080,8 @@ function addPictureLamp(artworkGroup, artworkWidth, artworkHeight, rotation) {
     
     lampGroup.add(spotlight);
     
-    // Check if this is a back wall artwork by examining the position
-    const isBackWall = Math.abs(artworkGroup.position.z + ROOM_LENGTH/2) < 1.0;
+    // Artworks facing straight ahead hang on a back wall
+    const isBackWall = rotation === 0;
     
     // Position and rotate the lamp based on the wall it's on
     if (Math.abs(rotation) === Math.PI/2) {
@@ -723,82 +1123,125 @@ function addPictureLamp(artworkGroup, artworkWidth, artworkHeight, rotation) {
     
     // Add the lamp to the artwork group
     artworkGroup.add(lampGroup);
+    
+    // The spotlight is brightened when the artwork is picked
+    return spotlight;
 }
 
 function createWalls() {
     const wallMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0xffffff,
+        color: theme.palette.walls,
         roughness: 0.9,
         metalness: 0.1
     });
 
-    // Back wall
-    const backWall = new THREE.Mesh(
-        new THREE.PlaneGeometry(ROOM_WIDTH, ROOM_HEIGHT),
-        wallMaterial
-    );
-    backWall.position.z = -ROOM_LENGTH/2;
-    backWall.position.y = ROOM_HEIGHT/2;
-    backWall.receiveShadow = true;
-    scene.add(backWall);
-
-    // Front wall
-    const frontWall = new THREE.Mesh(
-        new THREE.PlaneGeometry(ROOM_WIDTH, ROOM_HEIGHT),
-        wallMaterial
-    );
-    frontWall.position.z = ROOM_LENGTH/2;
-    frontWall.position.y = ROOM_HEIGHT/2;
-    frontWall.rotation.y = Math.PI;
-    frontWall.receiveShadow = true;
-    scene.add(frontWall);
-
-    // Left wall
-    const leftWall = new THREE.Mesh(
-        new THREE.PlaneGeometry(ROOM_LENGTH, ROOM_HEIGHT),
-        wallMaterial
-    );
-    leftWall.position.x = -ROOM_WIDTH/2;
-    leftWall.position.y = ROOM_HEIGHT/2;
-    leftWall.rotation.y = Math.PI/2;
-    leftWall.receiveShadow = true;
-    scene.add(leftWall);
-
-    // Right wall
-    const rightWall = new THREE.Mesh(
-        new THREE.PlaneGeometry(ROOM_LENGTH, ROOM_HEIGHT),
-        wallMaterial
-    );
-    rightWall.position.x = ROOM_WIDTH/2;
-    rightWall.position.y = ROOM_HEIGHT/2;
-    rightWall.rotation.y = -Math.PI/2;
-    rightWall.receiveShadow = true;
-    scene.add(rightWall);
-
-    // Ceiling
-    const ceiling = new THREE.Mesh(
-        new THREE.PlaneGeometry(ROOM_WIDTH, ROOM_LENGTH),
-        wallMaterial
-    );
-    ceiling.position.y = ROOM_HEIGHT;
-    ceiling.rotation.x = Math.PI/2;
-    ceiling.receiveShadow = true;
-    scene.add(ceiling);
+    floorPlan.rooms.forEach(room => {
+        createFloor(room);
+
+        // Walls, with doorways cut out where this room connects to another.
+        // Stretches shared with a room built earlier are already up, doorway and all.
+        const openings = getRoomOpenings(floorPlan, room);
+        const sharedWalls = getSharedWalls(floorPlan, room);
+        createRoomWalls(room.width, room.length, room.x, room.z).forEach(wall => {
+            const builtElsewhere = sharedWalls.filter(shared => shared.wall === wall.name && shared.builder !== room.id);
+            const builtHere = sharedWalls.filter(shared => shared.wall === wall.name && shared.builder === room.id);
+            const gaps = openings
+                .filter(opening => opening.wall === wall.name &&
+                    !builtElsewhere.some(shared => opening.from >= shared.from && opening.to <= shared.to))
+                .concat(builtElsewhere.map(shared => ({ from: shared.from, to: shared.to, height: null })))
+                .sort((a, b) => a.from - b.from);
+
+            const pieces = [];
+            let from = 0;
+            gaps.forEach(gap => {
+                pieces.push({ from, to: gap.from, bottom: 0, top: ROOM_HEIGHT });
+                if (gap.height !== null) {
+                    // Lintel above the doorway
+                    pieces.push({ from: gap.from, to: gap.to, bottom: gap.height, top: ROOM_HEIGHT });
+                }
+                from = gap.to;
+            });
+            pieces.push({ from, to: wall.length, bottom: 0, top: ROOM_HEIGHT });
+
+            pieces.forEach(piece => {
+                addWallPiece(wall, piece.from, piece.to, piece.bottom, piece.top, wallMaterial);
+                // Walls between two rooms are built once, with a face turned into each room
+                builtHere.forEach(shared => {
+                    addWallFace(wall, Math.max(piece.from, shared.from), Math.min(piece.to, shared.to),
+                        piece.bottom, piece.top, wallMaterial, Math.PI);
+                });
+            });
+        });
+
+        // Ceiling
+        const ceiling = new THREE.Mesh(
+            new THREE.PlaneGeometry(room.width, room.length),
+            wallMaterial
+        );
+        ceiling.position.set(room.x, ROOM_HEIGHT, room.z);
+        ceiling.rotation.x = Math.PI/2;
+        ceiling.receiveShadow = true;
+        scene.add(ceiling);
+    });
     
-    // Add birthday decorations
-    createBirthdayDecorations();
+    // Decorate for the occasion
+    createDecorations(floorPlan.rooms[0]);
+}
+
+// Add the part of a wall between two distances along it and two heights
+function addWallPiece(wall, from, to, bottom, top, material) {
+    const piece = addWallFace(wall, from, to, bottom, top, material, 0);
+    if (!piece) return;
+
+    collisionWorld.addBox({
+        type: 'wall',
+        x: piece.position.x,
+        z: piece.position.z,
+        bottom,
+        width: to - from,
+        depth: WALL_THICKNESS,
+        height: top - bottom,
+        rotation: wall.rotation,
+        standable: false
+    });
+}
+
+// Add one face of a wall piece, facing into the room or, turned by π, out
+// of it. Returns the mesh, or null if the piece is empty.
+function addWallFace(wall, from, to, bottom, top, material, turn) {
+    if (to - from <= 0 || top - bottom <= 0) return null;
+
+    const center = (from + to) / 2;
+    const face = new THREE.Mesh(new THREE.PlaneGeometry(to - from, top - bottom), material);
+    face.position.set(
+        wall.start.x + wall.direction.x * center,
+        (bottom + top) / 2,
+        wall.start.z + wall.direction.z * center
+    );
+    face.rotation.y = wall.rotation + turn;
+    face.receiveShadow = true;
+    scene.add(face);
+    wallPieces.push(face);
+    return face;
 }
 
-function createBirthdayDecorations() {
-    createHappyBirthdaySign();
-    createCeilingDecorations();
-    createBalloons();
-    createStreamers();
-    createGiftBoxes();
+// Put up the decorations the theme asks for
+function createDecorations(room) {
+    const decorations = {
+        sign: createCeilingSign,
+        lanterns: createPaperLanterns,
+        confetti: createConfetti,
+        balloons: createBalloons,
+        streamers: createStreamers,
+        giftBoxes: createGiftBoxes
+    };
+    theme.decorations.forEach(name => decorations[name](room));
 }
 
-// Create a Happy Birthday sign
-function createHappyBirthdaySign() {
+// Create the theme's sign on the ceiling
+function createCeilingSign(room) {
+    if (!theme.sign || !themeText.sign) return;
+    
     // Create a canvas for the text
     const canvas = document.createElement('canvas');
     const context = canvas.getContext('2d');
@@ -807,26 +1250,37 @@ function createHappyBirthdaySign() {
     
     // Fill the background with a gradient
     const gradient = context.createLinearGradient(0, 0, canvas.width, 0);
-    gradient.addColorStop(0, '#ff9999');
-    gradient.addColorStop(0.5, '#ffcc99');
-    gradient.addColorStop(1, '#99ccff');
+    theme.sign.gradient.forEach((color, index) => {
+        gradient.addColorStop(index / (theme.sign.gradient.length - 1), color);
+    });
     context.fillStyle = gradient;
     context.fillRect(0, 0, canvas.width, canvas.height);
     
     // Add a border
-    context.strokeStyle = '#ff5555';
+    context.strokeStyle = theme.sign.border;
     context.lineWidth = 12;
     context.strokeRect(10, 10, canvas.width - 20, canvas.height - 20);
     
-    // Add text
-    context.font = 'bold 90px Arial';
+    // Add text, shrinking and wrapping it to fit inside the border
+    const { lines, fontSize } = fitText(context, themeText.sign, {
+        maxWidth: canvas.width - 80,
+        maxHeight: canvas.height - 60,
+        maxSize: SIGN_MAX_FONT_SIZE,
+        minSize: SIGN_MIN_FONT_SIZE,
+        font: size => `bold ${size}px Arial`
+    });
+    const lineHeight = fontSize * 1.1;
+    context.font = `bold ${fontSize}px Arial`;
     context.textAlign = 'center';
     context.textBaseline = 'middle';
-    context.fillStyle = '#ff3366';
-    context.fillText('Happy 23rd Birthday!', canvas.width / 2, canvas.height / 2);
+    context.fillStyle = theme.sign.textColor;
     context.strokeStyle = 'white';
     context.lineWidth = 3;
-    context.strokeText('Happy 23rd Birthday!', canvas.width / 2, canvas.height / 2);
+    lines.forEach((line, index) => {
+        const y = canvas.height / 2 + (index - (lines.length - 1) / 2) * lineHeight;
+        context.fillText(line, canvas.width / 2, y, canvas.width - 80);
+        context.strokeText(line, canvas.width / 2, y, canvas.width - 80);
+    });
     
     // Add decorative elements
     for (let i = 0; i < 10; i++) {
@@ -860,7 +1314,7 @@ function createHappyBirthdaySign() {
     const sign = new THREE.Mesh(signGeometry, signMaterial);
     
     // Position the sign on the ceiling in the center of the room
-    sign.position.set(0, ROOM_HEIGHT - 0.05, 0);
+    sign.position.set(room.x, ROOM_HEIGHT - 0.05, room.z);
     sign.rotation.x = Math.PI / 2; // Rotate to face down from ceiling
     
     // Add to scene
@@ -869,7 +1323,7 @@ function createHappyBirthdaySign() {
     // Add a frame around the sign
     const frameThickness = 0.1;
     const frameMaterial = new THREE.MeshStandardMaterial({
-        color: 0xcc3366,
+        color: theme.sign.frameColor,
         roughness: 0.5,
         metalness: 0.5
     });
@@ -918,7 +1372,7 @@ function createHappyBirthdaySign() {
     
     // Add spotlights to illuminate the sign
     const spotLight1 = new THREE.SpotLight(0xffffff, 30);
-    spotLight1.position.set(-signWidth/2, ROOM_HEIGHT - 1, 0);
+    spotLight1.position.set(room.x - signWidth/2, ROOM_HEIGHT - 1, room.z);
     spotLight1.target = sign;
     spotLight1.angle = Math.PI / 6;
     spotLight1.penumbra = 0.5;
@@ -927,7 +1381,7 @@ function createHappyBirthdaySign() {
     scene.add(spotLight1);
     
     const spotLight2 = new THREE.SpotLight(0xffffff, 30);
-    spotLight2.position.set(signWidth/2, ROOM_HEIGHT - 1, 0);
+    spotLight2.position.set(room.x + signWidth/2, ROOM_HEIGHT - 1, room.z);
     spotLight2.target = sign;
     spotLight2.angle = Math.PI / 6;
     spotLight2.penumbra = 0.5;
@@ -936,34 +1390,20 @@ function createHappyBirthdaySign() {
     scene.add(spotLight2);
 }
 
-function createCeilingDecorations() {
-    // Create paper lanterns
-    createPaperLanterns();
-    
-    // Create confetti particles
-    createConfetti();
-}
-
 // Create paper lanterns hanging from the ceiling
-function createPaperLanterns() {
-    const lanternColors = [
-        0xff9999, // Light pink
-        0x99ccff, // Light blue
-        0xccff99, // Light green
-        0xffffcc, // Light yellow
-        0xffcc99  // Light orange
-    ];
+function createPaperLanterns(room) {
+    const lanternColors = theme.palette.lanterns;
     
     // Create lanterns in a grid pattern
-    for (let x = -ROOM_WIDTH/3; x <= ROOM_WIDTH/3; x += ROOM_WIDTH/3) {
-        for (let z = -ROOM_LENGTH/3; z <= ROOM_LENGTH/3; z += ROOM_LENGTH/3) {
-            // Skip the center where the birthday sign is
-            if (x === 0 && z === 0) continue;
+    for (let x = -room.width/3; x <= room.width/3; x += room.width/3) {
+        for (let z = -room.length/3; z <= room.length/3; z += room.length/3) {
+            // Skip the center where the sign is
+            if (x === 0 && z === 0 && theme.sign) continue;
             
             createPaperLantern(
-                x, 
+                room.x + x, 
                 ROOM_HEIGHT - 0.5 - Math.random() * 1.5, 
-                z,
+                room.z + z,
                 0.4 + Math.random() * 0.3,
                 lanternColors[Math.floor(Math.random() * lanternColors.length)]
             );
@@ -1033,15 +1473,8 @@ function createPaperLantern(x, y, z, size, color) {
 }
 
 // Create confetti particles floating in the air
-function createConfetti() {
-    const confettiColors = [
-        0xff3366, // Pink
-        0x3366ff, // Blue
-        0x33cc33, // Green
-        0xffcc00, // Yellow
-        0xff6600, // Orange
-        0x9933ff  // Purple
-    ];
+function createConfetti(room) {
+    const confettiColors = theme.palette.decorations;
     
     // Create confetti group
     const confettiGroup = new THREE.Group();
@@ -1049,9 +1482,9 @@ function createConfetti() {
     // Create 200 confetti particles
     for (let i = 0; i < 200; i++) {
         // Random position within the room
-        const x = -ROOM_WIDTH/2 + Math.random() * ROOM_WIDTH;
+        const x = room.minX + Math.random() * room.width;
         const y = 1 + Math.random() * (ROOM_HEIGHT - 1.5);
-        const z = -ROOM_LENGTH/2 + Math.random() * ROOM_LENGTH;
+        const z = room.minZ + Math.random() * room.length;
         
         // Random size
         const size = 0.05 + Math.random() * 0.1;
@@ -1086,23 +1519,15 @@ function createConfetti() {
     scene.add(confettiGroup);
 }
 
-function createBalloons() {
-    // Balloon colors
-    const balloonColors = [
-        0xff3366, // Pink
-        0x3366ff, // Blue
-        0x33cc33, // Green
-        0xffcc00, // Yellow
-        0xff6600, // Orange
-        0x9933ff  // Purple
-    ];
+function createBalloons(room) {
+    const balloonColors = theme.palette.decorations;
     
     // Create balloon groups at different locations
-    createBalloonGroup(-ROOM_WIDTH/4, 0, -ROOM_LENGTH/4, 5, balloonColors);
-    createBalloonGroup(ROOM_WIDTH/4, 0, -ROOM_LENGTH/4, 5, balloonColors);
-    createBalloonGroup(0, 0, ROOM_LENGTH/4, 5, balloonColors);
-    createBalloonGroup(-ROOM_WIDTH/3, 0, ROOM_LENGTH/3, 3, balloonColors);
-    createBalloonGroup(ROOM_WIDTH/3, 0, ROOM_LENGTH/3, 3, balloonColors);
+    createBalloonGroup(room.x - room.width/4, 0, room.z - room.length/4, 5, balloonColors);
+    createBalloonGroup(room.x + room.width/4, 0, room.z - room.length/4, 5, balloonColors);
+    createBalloonGroup(room.x, 0, room.z + room.length/4, 5, balloonColors);
+    createBalloonGroup(room.x - room.width/3, 0, room.z + room.length/3, 3, balloonColors);
+    createBalloonGroup(room.x + room.width/3, 0, room.z + room.length/3, 3, balloonColors);
 }
 
 function createBalloonGroup(x, y, z, count, colors) {
@@ -1150,31 +1575,19 @@ function createBalloonGroup(x, y, z, count, colors) {
     group.position.set(x, y, z);
     scene.add(group);
     
-    // Add to furniture array to prevent walking through balloon strings
-    furniture.push({
-        type: 'decoration',
-        position: new THREE.Vector3(x, 0, z),
-        dimensions: new THREE.Vector3(1, 3, 1),
-        rotation: 0
-    });
+    // Keep visitors from walking through the balloon strings
+    collisionWorld.addBox({ type: 'decoration', x, z, width: 1, depth: 1, height: 3, standable: false });
 }
 
-function createStreamers() {
-    const streamerColors = [
-        0xff3366, // Pink
-        0x3366ff, // Blue
-        0x33cc33, // Green
-        0xffcc00, // Yellow
-        0xff6600, // Orange
-        0x9933ff  // Purple
-    ];
+function createStreamers(room) {
+    const streamerColors = theme.palette.decorations;
     
     // Create streamers across the ceiling
     for (let i = 0; i < 10; i++) {
         createStreamer(
-            -ROOM_WIDTH/2 + Math.random() * ROOM_WIDTH,
+            room.minX + Math.random() * room.width,
             ROOM_HEIGHT,
-            -ROOM_LENGTH/2 + Math.random() * ROOM_LENGTH,
+            room.minZ + Math.random() * room.length,
             streamerColors[Math.floor(Math.random() * streamerColors.length)]
         );
     }
@@ -1218,16 +1631,21 @@ function createStreamer(x, y, z, color) {
     scene.add(streamer);
 }
 
-function createGiftBoxes() {
+function createGiftBoxes(room) {
+    // Box and ribbon colours come from the theme, with ribbons picked to contrast with their box
+    const colors = theme.palette.decorations;
+    const box = index => colors[index % colors.length];
+    const ribbon = index => colors[(index + Math.ceil(colors.length / 2)) % colors.length];
+    
     // Create a few gift boxes around the museum
-    createGiftBox(-ROOM_WIDTH/3, 0, -ROOM_LENGTH/3, 0.8, 0.5, 0.8, 0xff3366, 0xffffff);
-    createGiftBox(ROOM_WIDTH/3, 0, -ROOM_LENGTH/3, 0.7, 0.6, 0.7, 0x3366ff, 0xffcc00);
-    createGiftBox(0, 0, ROOM_LENGTH/3, 0.9, 0.4, 0.6, 0x33cc33, 0xff6600);
+    createGiftBox(room.x - room.width/3, 0, room.z - room.length/3, 0.8, 0.5, 0.8, box(0), ribbon(0));
+    createGiftBox(room.x + room.width/3, 0, room.z - room.length/3, 0.7, 0.6, 0.7, box(1), ribbon(1));
+    createGiftBox(room.x, 0, room.z + room.length/3, 0.9, 0.4, 0.6, box(2), ribbon(2));
     
     // Create a stack of gifts in one corner
-    createGiftBox(-ROOM_WIDTH/2 + 2, 0, -ROOM_LENGTH/2 + 2, 1, 0.6, 0.8, 0x9933ff, 0xffffff);
-    createGiftBox(-ROOM_WIDTH/2 + 2, 0.6, -ROOM_LENGTH/2 + 2, 0.7, 0.4, 0.6, 0xff6600, 0x3366ff);
-    createGiftBox(-ROOM_WIDTH/2 + 2, 1.0, -ROOM_LENGTH/2 + 2, 0.5, 0.3, 0.5, 0xffcc00, 0x33cc33);
+    createGiftBox(room.minX + 2, 0, room.minZ + 2, 1, 0.6, 0.8, box(5), ribbon(5));
+    createGiftBox(room.minX + 2, 0.6, room.minZ + 2, 0.7, 0.4, 0.6, box(4), ribbon(4));
+    createGiftBox(room.minX + 2, 1.0, room.minZ + 2, 0.5, 0.3, 0.5, box(3), ribbon(3));
 }
 
 function createGiftBox(x, y, z, width, height, depth, boxColor, ribbonColor) {
@@ -1299,58 +1717,352 @@ function createGiftBox(x, y, z, width, height, depth, boxColor, ribbonColor) {
     
     scene.add(group);
     
-    // Add to furniture array for collision detection
-    furniture.push({
-        type: 'decoration',
-        position: new THREE.Vector3(x, y + height/2, z),
-        dimensions: new THREE.Vector3(width, height, depth),
+    // Small enough to step onto, and the stack in the corner can be climbed
+    collisionWorld.addBox({
+        type: 'gift',
+        x,
+        z,
+        bottom: y,
+        width,
+        depth,
+        height,
         rotation: group.rotation.y
     });
 }
 
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+// Pick the theme and fill in its text for the recipient, letting the page
+// address override the manifest
+function chooseTheme(manifest) {
+    theme = getTheme(PAGE_PARAMS.get('theme'), manifest && manifest.theme);
+    themeText = getThemeText(theme, readPersonalization(manifest ? manifest.personalization : {}, PAGE_PARAMS));
+    applyThemeToPage();
 }
 
-function findNearestArtwork() {
-    const cameraPosition = camera.position;
-    const cameraDirection = new THREE.Vector3();
-    camera.getWorldDirection(cameraDirection);
-    
-    let nearestArtwork = null;
-    let bestScore = -Infinity; // Higher score means better candidate
-    
-    artworks.forEach(artwork => {
-        // Skip artworks that haven't been fully loaded yet
-        if (artwork.width === undefined || artwork.height === undefined) {
-            return;
-        }
-        
-        const artworkPosition = artwork.group.position;
-        const distance = cameraPosition.distanceTo(artworkPosition);
-        
-        // Calculate a viewing distance threshold based on artwork size
-        // Larger artworks can be viewed from further away
-        const sizeBasedThreshold = Math.max(artwork.width, artwork.height) * 3;
-        const maxDistance = Math.max(10, sizeBasedThreshold);
-        
-        if (distance < maxDistance) { // Consider artworks within size-adjusted distance
-            const toArtwork = artworkPosition.clone().sub(cameraPosition).normalize();
-            const angle = cameraDirection.angleTo(toArtwork);
-            
-            // Adjust angle threshold based on size - larger artworks are easier to notice
-            const sizeAdjustedAngleThreshold = Math.PI / 4 * (1 + Math.min(artwork.width, artwork.height) / 5);
-            
-            if (angle < sizeAdjustedAngleThreshold) {
-                // Score based on combination of angle and distance, with size as a factor
-                // Lower angle and distance is better, larger size makes artwork more noticeable
-                const artworkSize = Math.max(artwork.width, artwork.height);
-                const score = (1 - angle / Math.PI) * 10 + (maxDistance - distance) + artworkSize;
-                
-                if (score > bestScore) {
-                    bestScore = score;
+// Hang the guestbook board in the middle of a clear wall in the first room
+// and keep it up to date with new messages
+function createGuestbook() {
+    const room = floorPlan.rooms[0];
+    const walls = createRoomWalls(room.width, room.length, room.x, room.z);
+    const reserved = reservedSpansFromObstacles(walls, getWallObstacles())
+        .concat(getRoomOpenings(floorPlan, room));
+
+    // Front wall first, since visitors start facing the back wall
+    const wallOrder = ['front', 'back', 'left', 'right'];
+    const wall = wallOrder
+        .map(name => walls.find(candidate => candidate.name === name))
+        .find(candidate => {
+            const from = candidate.length / 2 - GUESTBOOK_WIDTH / 2 - MIN_ARTWORK_GAP / 2;
+            const to = candidate.length / 2 + GUESTBOOK_WIDTH / 2 + MIN_ARTWORK_GAP / 2;
+            return from > 0 && to < candidate.length &&
+                !reserved.some(span => span.wall === candidate.name && span.from < to && span.to > from);
+        });
+    if (!wall) {
+        debugLog('No clear wall for the guestbook');
+        return;
+    }
+
+    const along = wall.length / 2;
+    guestbookSpan = {
+        room: room.id,
+        wall: wall.name,
+        from: along - GUESTBOOK_WIDTH / 2 - MIN_ARTWORK_GAP / 2,
+        to: along + GUESTBOOK_WIDTH / 2 + MIN_ARTWORK_GAP / 2
+    };
+
+    guestbookBoard = createGuestbookBoard({ key: keyLabel('guestbook') });
+    guestbookBoard.group.position.set(
+        wall.start.x + wall.direction.x * along + wall.normal.x * 0.05,
+        GUESTBOOK_BOTTOM + GUESTBOOK_HEIGHT / 2,
+        wall.start.z + wall.direction.z * along + wall.normal.z * 0.05
+    );
+    guestbookBoard.group.rotation.y = wall.rotation;
+    scene.add(guestbookBoard.group);
+
+    loadGuestbook(GUESTBOOK_URL)
+        .then(entries => {
+            guestbookEntries = entries;
+            guestbookBoard.setEntries(guestbookEntries);
+        })
+        .catch(error => console.warn('Guestbook unavailable:', error.message));
+
+    watchGuestbook(`${GUESTBOOK_URL}/events`, addGuestbookEntry);
+}
+
+// Pin a message to the board, unless it's already there
+function addGuestbookEntry(entry) {
+    if (guestbookEntries.some(existing => existing.id === entry.id)) return;
+    guestbookEntries.push(entry);
+    guestbookBoard.setEntries(guestbookEntries);
+}
+
+function setupGuestbookForm() {
+    const form = document.getElementById('guestbook-form');
+    const errorText = document.getElementById('guestbook-error');
+
+    // Typing in the form shouldn't count as a click on the museum
+    form.addEventListener('click', event => event.stopPropagation());
+    form.addEventListener('keydown', event => {
+        if (event.code === 'Escape') closeGuestbookForm();
+    });
+    document.getElementById('guestbook-cancel').addEventListener('click', closeGuestbookForm);
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        errorText.textContent = '';
+
+        signGuestbook(GUESTBOOK_URL, form.elements.name.value, form.elements.message.value)
+            .then(entry => {
+                if (guestbookBoard) {
+                    addGuestbookEntry(entry);
+                }
+                form.reset();
+                closeGuestbookForm();
+            })
+            .catch(error => {
+                errorText.textContent = error.message;
+            })
+            .finally(() => {
+                submitButton.disabled = false;
+            });
+    });
+}
+
+function openGuestbookForm() {
+    if (!guestbookBoard) return;
+
+    isGuestbookOpen = true;
+    moveForward = moveBackward = moveLeft = moveRight = false;
+    controls.unlock();
+    document.getElementById('guestbook-error').textContent = '';
+    document.getElementById('guestbook-form').style.display = 'block';
+    document.getElementById('guestbook-name').focus();
+}
+
+function closeGuestbookForm() {
+    isGuestbookOpen = false;
+    document.getElementById('guestbook-form').style.display = 'none';
+}
+
+// Connect to the other visitors in this museum
+function setupPresence() {
+    const name = PAGE_PARAMS.get('name') || 'Visitor';
+
+    presence = connectPresence(presenceUrl(window.location), { name, host: isHost }, {
+        onWelcome(message) {
+            // Someone else may already be hosting
+            isHost = message.host;
+            clearAvatars();
+            message.visitors.forEach(addAvatar);
+            updatePresenceStatus();
+        },
+        onJoin(visitor) {
+            addAvatar(visitor);
+            updatePresenceStatus();
+        },
+        onMove(id, position, rotation) {
+            const avatar = avatars.get(id);
+            if (avatar) {
+                setAvatarTarget(avatar, position, rotation);
+            }
+        },
+        onZoom(id, imagePath) {
+            // In VR the visitor's own head decides where they look
+            if (!followHost || isGuestbookOpen || tour || renderer.xr.isPresenting) return;
+            const artwork = artworks.find(candidate => candidate.imagePath === imagePath);
+            if (!artwork || artwork === zoomedArtwork) return;
+
+            viewArtwork(artwork);
+        },
+        onUnzoom() {
+            if (followHost && isZooming) {
+                resetZoom();
+            }
+        },
+        onLeave(id) {
+            removeAvatar(id);
+            updatePresenceStatus();
+        },
+        onDisconnect() {
+            clearAvatars();
+            updatePresenceStatus();
+        }
+    });
+}
+
+function addAvatar(visitor) {
+    removeAvatar(visitor.id);
+    const avatar = createAvatar(visitor, avatars.size);
+    avatars.set(visitor.id, avatar);
+    scene.add(avatar.group);
+    if (visitor.host) {
+        hostId = visitor.id;
+    }
+}
+
+function removeAvatar(id) {
+    const avatar = avatars.get(id);
+    if (!avatar) return;
+    scene.remove(avatar.group);
+    disposeAvatar(avatar);
+    avatars.delete(id);
+    if (hostId === id) {
+        hostId = null;
+    }
+}
+
+function clearAvatars() {
+    [...avatars.keys()].forEach(removeAvatar);
+}
+
+function toggleFollowHost() {
+    if (isHost) return;
+    followHost = !followHost;
+    updatePresenceStatus();
+}
+
+// Say who else is here and whether we're following the host
+function updatePresenceStatus() {
+    const status = document.getElementById('presence-status');
+    const others = avatars.size;
+
+    let text = others === 0 ? '' : `${others} other visitor${others === 1 ? '' : 's'} here`;
+    if (isHost) {
+        text += `${text ? ' · ' : ''}You are hosting: people following you see what you zoom in on`;
+    } else if (hostId) {
+        const hostName = avatars.get(hostId).name;
+        const key = keyLabel('follow');
+        text += followHost ? ` · Following ${hostName} (${key} to stop)` : ` · Press ${key} to follow ${hostName}`;
+    }
+
+    status.textContent = text;
+    status.style.display = text ? 'block' : 'none';
+}
+
+// Send our position now and then, and move everyone else's avatar
+function updatePresence(now, delta) {
+    avatars.forEach(avatar => updateAvatar(avatar, delta));
+
+    if (!presence || now - lastPresenceSend < PRESENCE_SEND_INTERVAL) return;
+    lastPresenceSend = now;
+
+    const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+    const position = camera.position.toArray().map(value => Math.round(value * 100) / 100);
+    const rotation = [euler.x, euler.y].map(value => Math.round(value * 1000) / 1000);
+
+    // Only send when something changed
+    const state = JSON.stringify([position, rotation]);
+    if (state !== lastPresenceState) {
+        lastPresenceState = state;
+        presence.sendMove(position, rotation);
+    }
+}
+
+// Show the theme's text in the browser tab, on the loading screen and around the love letters
+function applyThemeToPage() {
+    document.title = themeText.pageTitle;
+    document.getElementById('loading-title').textContent = themeText.loadingTitle;
+    document.getElementById('loading-text').textContent = themeText.loadingText;
+
+    const greeting = document.getElementById('letter-greeting');
+    greeting.textContent = themeText.greeting;
+    greeting.style.display = themeText.greeting ? '' : 'none';
+
+    const signOff = document.getElementById('letter-sign-off');
+    signOff.textContent = themeText.signOff;
+    signOff.style.display = themeText.signOff ? '' : 'none';
+}
+
+function hideLoadingScreen() {
+    const loadingContainer = document.getElementById('loading-container');
+    // Hide loading screen with a fade out effect
+    loadingContainer.style.transition = 'opacity 1s';
+    loadingContainer.style.opacity = 0;
+    setTimeout(() => {
+        loadingContainer.style.display = 'none';
+    }, 1000);
+}
+
+// Offer to retry what failed (when `onRetry` is given) or carry on without it
+function showLoadingActions(onRetry) {
+    const actions = document.getElementById('loading-actions');
+    const retryButton = document.getElementById('loading-retry');
+    const continueButton = document.getElementById('loading-continue');
+
+    actions.style.display = 'block';
+    retryButton.style.display = onRetry ? '' : 'none';
+
+    // Clicks here shouldn't fall through to the pointer lock handler
+    retryButton.onclick = event => {
+        event.stopPropagation();
+        actions.style.display = 'none';
+        onRetry();
+    };
+    continueButton.onclick = event => {
+        event.stopPropagation();
+        hideLoadingScreen();
+    };
+}
+
+// Show what went wrong on the loading screen, one line per problem
+function showLoadingErrors(message, problems) {
+    const loadingText = document.getElementById('loading-text');
+    loadingText.textContent = message;
+    loadingText.style.color = 'red';
+
+    const errorList = document.getElementById('loading-errors');
+    errorList.innerHTML = '';
+    problems.forEach(problem => {
+        const item = document.createElement('li');
+        item.textContent = problem;
+        errorList.appendChild(item);
+    });
+}
+
+function onWindowResize() {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+}
+
+function findNearestArtwork() {
+    const cameraPosition = camera.position;
+    const cameraDirection = new THREE.Vector3();
+    camera.getWorldDirection(cameraDirection);
+    
+    let nearestArtwork = null;
+    let bestScore = -Infinity; // Higher score means better candidate
+    
+    artworks.forEach(artwork => {
+        // Skip artworks that haven't been fully loaded yet
+        if (artwork.width === undefined || artwork.height === undefined) {
+            return;
+        }
+        
+        const artworkPosition = artwork.group.position;
+        const distance = cameraPosition.distanceTo(artworkPosition);
+        
+        // Calculate a viewing distance threshold based on artwork size
+        // Larger artworks can be viewed from further away
+        const sizeBasedThreshold = Math.max(artwork.width, artwork.height) * 3;
+        const maxDistance = Math.max(10, sizeBasedThreshold);
+        
+        if (distance < maxDistance) { // Consider artworks within size-adjusted distance
+            const toArtwork = artworkPosition.clone().sub(cameraPosition).normalize();
+            const angle = cameraDirection.angleTo(toArtwork);
+            
+            // Adjust angle threshold based on size - larger artworks are easier to notice
+            const sizeAdjustedAngleThreshold = Math.PI / 4 * (1 + Math.min(artwork.width, artwork.height) / 5);
+            
+            if (angle < sizeAdjustedAngleThreshold) {
+                // Score based on combination of angle and distance, with size as a factor
+                // Lower angle and distance is better, larger size makes artwork more noticeable
+                const artworkSize = Math.max(artwork.width, artwork.height);
+                const score = (1 - angle / Math.PI) * 10 + (maxDistance - distance) + artworkSize;
+                
+                if (score > bestScore) {
+                    bestScore = score;
                     nearestArtwork = artwork;
                 }
             }
@@ -1360,60 +2072,145 @@ function findNearestArtwork() {
     return nearestArtwork;
 }
 
+// Whether a key press is going into a text field rather than moving the visitor
+function isTyping(event) {
+    return event.target instanceof HTMLElement && event.target.closest('input, textarea') !== null;
+}
+
+// What a key press asks for, going by the visitor's key bindings. Escape
+// can't be rebound and always asks to close.
+function getKeyAction(event) {
+    return event.code === 'Escape' ? 'close' : actionForKey(settings, event.code);
+}
+
+// The key bound to `action`, as it's written on the keyboard
+function keyLabel(action) {
+    return keyName(settings.keys[action], keyboardLayout);
+}
+
 function onKeyDown(event) {
-    // If in zoom mode, only handle ESC and V keys
+    if (isTyping(event) || isGuestbookOpen || isArtworkListOpen || isSettingsOpen || isMapOpen ||
+        renderer.xr.isPresenting) return;
+    const action = getKeyAction(event);
+    
+    // During a tour the keys steer the tour
+    if (tour) {
+        switch (action) {
+            case 'jump':
+            case 'pause':
+                toggleTourPause();
+                break;
+            case 'next':
+                tour.next();
+                break;
+            case 'previous':
+                tour.previous();
+                break;
+            case 'tour':
+            case 'close':
+                endTour();
+                lockControls();
+                break;
+        }
+        return;
+    }
+    
+    // If in zoom mode, only handle closing, browsing and the list
     if (isZooming) {
-        switch (event.code) {
-            case 'KeyV':
-            case 'Escape':
+        switch (action) {
+            case 'view':
+            case 'close':
                 resetZoom();
                 break;
+            case 'next':
+                browseArtworks(1);
+                break;
+            case 'previous':
+                browseArtworks(-1);
+                break;
+            case 'list':
+                openArtworkList();
+                break;
+            case 'follow':
+                toggleFollowHost();
+                break;
         }
         return;
     }
     
     // Normal movement controls when not in zoom mode
-    switch (event.code) {
-        case 'KeyW':
+    switch (action) {
+        case 'forward':
             moveForward = true;
             break;
-        case 'KeyA':
+        case 'left':
             moveLeft = true;
             break;
-        case 'KeyS':
+        case 'backward':
             moveBackward = true;
             break;
-        case 'KeyD':
+        case 'right':
             moveRight = true;
             break;
-        case 'Space':
-            if (canJump) {
-                isJumping = true;
-                canJump = false;
-                jumpVelocity = JUMP_FORCE;
+        case 'jump':
+            if (settings.jumping) {
+                jumpRequested = true;
             }
             break;
-        case 'KeyV':
-            const nearestArtwork = findNearestArtwork();
+        case 'view':
+            // The artwork under the crosshair, or failing that a best guess
+            const nearestArtwork = hoveredArtwork || findNearestArtwork();
             if (nearestArtwork) {
                 zoomToArtwork(nearestArtwork);
             }
             break;
+        case 'next':
+        case 'previous':
+            // From walking around, start with the closest artwork; the arrows then browse
+            const firstArtwork = hoveredArtwork || findNearestArtwork() || getViewableArtworks()[0];
+            if (firstArtwork) {
+                zoomToArtwork(firstArtwork);
+            }
+            break;
+        case 'tour':
+            startTour();
+            break;
+        case 'list':
+            openArtworkList();
+            break;
+        case 'guestbook':
+            openGuestbookForm();
+            break;
+        case 'follow':
+            toggleFollowHost();
+            break;
+        case 'settings':
+            openSettings();
+            break;
+        case 'minimap':
+            toggleMinimap();
+            break;
+        case 'map':
+            openMap();
+            break;
+        case 'colliders':
+            toggleColliderView();
+            break;
     }
 }
 
 function onKeyUp(event) {
-    switch (event.code) {
-        case 'KeyW':
+    switch (getKeyAction(event)) {
+        case 'forward':
             moveForward = false;
             break;
-        case 'KeyA':
+        case 'left':
             moveLeft = false;
             break;
-        case 'KeyS':
+        case 'backward':
             moveBackward = false;
             break;
-        case 'KeyD':
+        case 'right':
             moveRight = false;
             break;
     }
@@ -1421,7 +2218,7 @@ function onKeyUp(event) {
 
 // Add a debug function to log important information
 function debugLog(message, obj = null) {
-    const DEBUG = true; // Set to false to disable debug messages
+    const DEBUG = false; // Set to true to log what the museum is doing
     if (DEBUG) {
         if (obj) {
             console.log(message, obj);
@@ -1439,14 +2236,60 @@ function zoomToArtwork(artwork) {
     
     // Store original camera position and rotation before zooming
     // Make a deep copy to ensure we don't modify these values later
-    originalCameraPosition = camera.position.clone();
-    originalCameraRotation = new THREE.Euler().copy(camera.rotation);
+    // If still gliding back from the last artwork, return to where that ends
+    const returnTo = cameraTransitions.target;
+    originalCameraPosition = (returnTo ? returnTo.position : camera.position).clone();
+    originalCameraRotation = new THREE.Euler().setFromQuaternion(returnTo ? returnTo.quaternion : camera.quaternion);
     
     debugLog("Original position stored:", originalCameraPosition);
     
     isZooming = true;
     controls.unlock();
     
+    const targetPosition = getViewingPosition(artwork);
+    debugLog("Zoom target position:", targetPosition);
+    
+    // Glide to the target position, turning to look at the artwork
+    cameraTransitions.moveTo({
+        position: targetPosition,
+        lookAt: artwork.group.position,
+        duration: ZOOM_TRANSITION_DURATION
+    });
+    
+    showArtworkInfo(artwork, true);
+    setArtworkHash(artwork);
+}
+
+// Glide from the zoomed artwork straight to another one, staying zoomed in
+function zoomToAnotherArtwork(artwork) {
+    if (!isZooming || artwork === zoomedArtwork) return;
+    
+    debugLog("Moving on to artwork:", artwork.title);
+    resetPinchZoom();
+    zoomedArtwork.userPaused = false;
+    museumAudio.stopFeaturedVoiceNote();
+    
+    cameraTransitions.moveTo({
+        position: getViewingPosition(artwork),
+        lookAt: artwork.group.position,
+        duration: ZOOM_TRANSITION_DURATION
+    });
+    
+    showArtworkInfo(artwork, true);
+    setArtworkHash(artwork);
+}
+
+// Zoom in on an artwork, whether or not another one is zoomed already
+function viewArtwork(artwork) {
+    if (isZooming) {
+        zoomToAnotherArtwork(artwork);
+    } else {
+        zoomToArtwork(artwork);
+    }
+}
+
+// Where to stand to see an artwork whole
+function getViewingPosition(artwork) {
     // Calculate position in front of artwork
     // Adjust the viewing distance based on the artwork's size
     // Larger artworks need more distance to be viewed properly
@@ -1459,28 +2302,58 @@ function zoomToArtwork(artwork) {
     // Calculate target position
     const targetPosition = artwork.group.position.clone().sub(offset);
     
-    // Ensure the target position is inside the museum
-    targetPosition.x = Math.max(-ROOM_WIDTH/2 + 1.5, Math.min(ROOM_WIDTH/2 - 1.5, targetPosition.x));
-    targetPosition.z = Math.max(-ROOM_LENGTH/2 + 1.5, Math.min(ROOM_LENGTH/2 - 1.5, targetPosition.z));
+    // Ensure the target position is inside the artwork's room
+    clampToRoom(artwork.room, targetPosition, WALL_MARGIN + 0.5);
     targetPosition.y = ROOM_HEIGHT/2 - 1; // Set to eye level, slightly below ceiling
-    
-    debugLog("Zoom target position:", targetPosition);
-    
-    // Move camera to the target position
-    camera.position.copy(targetPosition);
-    
-    // Look at artwork
-    camera.lookAt(artwork.group.position);
-    
-    // Display artwork information
+    return targetPosition;
+}
+
+// Show an artwork's message in the info panel, with playback controls for
+// videos and animations, and optionally play its voice note
+function showArtworkInfo(artwork, playVoiceNote) {
     const artworkInfo = document.getElementById('artwork-info');
     artworkInfo.querySelector('h2').textContent = artwork.title;
     
     // Update the love message
     document.getElementById('love-message').textContent = artwork.description;
     
+    // Videos and animations get playback controls
+    zoomedArtwork = artwork;
+    viewedArtworks.add(artwork.info);
+    updateMediaControls();
+    
+    if (playVoiceNote && artwork.voiceNote) {
+        museumAudio.playVoiceNoteInFull(artwork.voiceNote);
+    }
+    
+    // Bring followers along
+    if (presence && isHost) {
+        presence.sendZoom(artwork.imagePath);
+    }
+    
+    // Browsing to other artworks is for the zoom view; the tour has its own buttons
+    document.getElementById('artwork-nav').style.display = isZooming ? 'block' : 'none';
+    
     // Show the artwork info panel
     artworkInfo.style.display = 'block';
+    announce(`Viewing ${getArtworkNumber(artwork)}. ${artwork.title}. ${artwork.alt ? artwork.alt + '. ' : ''}${artwork.description}`);
+}
+
+// Read a message out to screen readers
+function announce(message) {
+    document.getElementById('announcer').textContent = message;
+}
+
+function hideArtworkInfo() {
+    document.getElementById('artwork-info').style.display = 'none';
+    if (zoomedArtwork) {
+        zoomedArtwork.userPaused = false;
+        zoomedArtwork = null;
+    }
+    museumAudio.stopFeaturedVoiceNote();
+    if (presence && isHost) {
+        presence.sendUnzoom();
+    }
 }
 
 function resetZoom() {
@@ -1492,322 +2365,1134 @@ function resetZoom() {
     if (!originalCameraPosition || !originalCameraRotation) {
         debugLog("No original position stored, using default");
         // If we don't have stored positions (shouldn't happen), just reset to a default
-        validPosition = new THREE.Vector3(0, 2, 0);
+        validPosition = new THREE.Vector3(0, settings.headHeight, 0);
     } else {
-        // Start with the original camera position
-        validPosition = originalCameraPosition.clone();
-        
-        // Ensure the position is inside the museum bounds
-        validPosition.x = Math.max(-ROOM_WIDTH/2 + 1, Math.min(ROOM_WIDTH/2 - 1, validPosition.x));
-        validPosition.z = Math.max(-ROOM_LENGTH/2 + 1, Math.min(ROOM_LENGTH/2 - 1, validPosition.z));
-        validPosition.y = Math.max(2, validPosition.y); // Ensure we're at least at ground level
-        
-        debugLog("Validated position:", validPosition);
-        
-        // Check if the position would cause a furniture collision
-        if (checkFurnitureCollision(validPosition)) {
-            debugLog("Furniture collision detected, finding safe position");
-            // If there's a collision, find a safe position nearby
-            const safePositions = [
-                new THREE.Vector3(0, 2, 0),                      // Center of room
-                new THREE.Vector3(-ROOM_WIDTH/4, 2, 0),          // Left side
-                new THREE.Vector3(ROOM_WIDTH/4, 2, 0),           // Right side
-                new THREE.Vector3(0, 2, -ROOM_LENGTH/4),         // Back side
-                new THREE.Vector3(0, 2, ROOM_LENGTH/4)           // Front side
-            ];
-            
-            // Find the closest safe position
-            let closestSafePosition = safePositions[0];
-            let minDistance = validPosition.distanceTo(safePositions[0]);
-            
-            for (let i = 1; i < safePositions.length; i++) {
-                const distance = validPosition.distanceTo(safePositions[i]);
-                if (distance < minDistance && !checkFurnitureCollision(safePositions[i])) {
-                    minDistance = distance;
-                    closestSafePosition = safePositions[i];
-                }
-            }
-            
-            validPosition = closestSafePosition;
-            debugLog("Using safe position:", validPosition);
-        }
+        validPosition = findSafePosition(originalCameraPosition);
     }
     
-    // Set the camera position to the valid position
-    camera.position.copy(validPosition);
-    
-    // Restore original rotation if available
-    if (originalCameraRotation) {
-        camera.rotation.copy(originalCameraRotation);
-    }
+    // Glide back to the valid position, turning to the original rotation if available.
+    // Pressing V or ESC again before the camera arrives turns it round from wherever it is.
+    cameraTransitions.moveTo({
+        position: validPosition,
+        quaternion: originalCameraRotation ? new THREE.Quaternion().setFromEuler(originalCameraRotation) : null,
+        duration: ZOOM_TRANSITION_DURATION
+    });
     
     isZooming = false;
-    controls.lock();
+    lockControls();
+    resetPinchZoom();
     
-    // Hide artwork information
-    document.getElementById('artwork-info').style.display = 'none';
+    hideArtworkInfo();
+    setArtworkHash(null);
     
     // Reset the stored positions
     originalCameraPosition = null;
     originalCameraRotation = null;
     
-    debugLog("Zoom reset complete, new position:", camera.position);
+    debugLog("Zoom reset complete, returning to:", validPosition);
 }
 
-function checkFurnitureCollision(newPosition) {
-    for (let item of furniture) {
-        const dx = newPosition.x - item.position.x;
-        const dz = newPosition.z - item.position.z;
-        
-        // Adjust bounds based on rotation for benches
-        let xBound = item.dimensions.x / 2;
-        let zBound = item.dimensions.z / 2;
+// A spot near `position` where the visitor can stand: inside the museum, at
+// least at eye height and clear of furniture
+function findSafePosition(position) {
+    // Ensure the position is inside the museum bounds
+    let validPosition = clampToFloorPlan(floorPlan, position.clone(), WALL_MARGIN);
+    validPosition.y = Math.max(settings.headHeight, validPosition.y); // Ensure we're at least at ground level
+    
+    debugLog("Validated position:", validPosition);
+    
+    // Check if the position would cause a furniture collision
+    if (isBlocked(validPosition)) {
+        debugLog("Furniture collision detected, finding safe position");
+        // If there's a collision, find a safe position nearby in the same room
+        const room = findRoom(floorPlan, validPosition.x, validPosition.z) || findNearestRoom(floorPlan, validPosition.x, validPosition.z);
+        const safePositions = [
+            new THREE.Vector3(room.x, settings.headHeight, room.z),                      // Center of room
+            new THREE.Vector3(room.x - room.width/4, settings.headHeight, room.z),       // Left side
+            new THREE.Vector3(room.x + room.width/4, settings.headHeight, room.z),       // Right side
+            new THREE.Vector3(room.x, settings.headHeight, room.z - room.length/4),      // Back side
+            new THREE.Vector3(room.x, settings.headHeight, room.z + room.length/4)       // Front side
+        ];
         
-        if (item.type === 'bench' && item.rotation !== 0) {
-            // Swap bounds if bench is rotated
-            [xBound, zBound] = [zBound, xBound];
-        }
+        // Find the closest safe position
+        let closestSafePosition = safePositions[0];
+        let minDistance = validPosition.distanceTo(safePositions[0]);
         
-        // Check if we're within the horizontal bounds of the furniture
-        if (Math.abs(dx) < xBound + 0.3 && Math.abs(dz) < zBound + 0.3) {
-            // For benches, we need more sophisticated collision detection
-            if (item.type === 'bench') {
-                // Get the player's height relative to the ground
-                const playerHeight = newPosition.y;
-                const benchSeatHeight = 1.0; // Height of bench seat from ground
-                const benchTotalHeight = 1.0; // Total height of bench
-                
-                // Case 1: Player is clearly above the bench (jumping over it)
-                if (playerHeight > benchTotalHeight + 1.0) {
-                    return false; // Allow movement if jumping over
-                }
-                
-                // Case 2: Player is standing on the bench
-                if (Math.abs(playerHeight - 3) < 0.1) {
-                    // Only allow movement on top of the bench surface
-                    // Make the collision area slightly smaller than the bench to prevent edge issues
-                    const topSurfaceXBound = xBound - 0.1;
-                    const topSurfaceZBound = zBound - 0.1;
-                    
-                    if (Math.abs(dx) < topSurfaceXBound && Math.abs(dz) < topSurfaceZBound) {
-                        return false; // Allow movement on bench surface
-                    } else {
-                        return true; // Collision at edges of bench
-                    }
-                }
-                
-                // Case 3: Player is at normal height and trying to walk through the bench
-                if (playerHeight <= benchTotalHeight + 1.0) {
-                    // Check if player is trying to walk through the bench legs or seat
-                    // For simplicity, we'll treat the entire bench as solid at normal height
-                    return true; // Collision detected - can't walk through bench
-                }
-            } else {
-                // For other furniture types, just use simple collision
-                return true; // Collision detected
+        for (let i = 1; i < safePositions.length; i++) {
+            const distance = validPosition.distanceTo(safePositions[i]);
+            if (distance < minDistance && !isBlocked(safePositions[i])) {
+                minDistance = distance;
+                closestSafePosition = safePositions[i];
             }
         }
+        
+        validPosition = closestSafePosition;
+        debugLog("Using safe position:", validPosition);
     }
-    return false; // No collision
+    return validPosition;
 }
 
-// Emergency reset function to get back inside the museum
-function emergencyReset() {
-    // Reset zoom state if needed
-    if (isZooming) {
-        resetZoom();
+// Artworks that have been hung and can be zoomed in on
+function getViewableArtworks() {
+    return artworks.filter(artwork => artwork.width !== undefined);
+}
+
+// Number of an artwork in links like #artwork=3: its place in the exhibit
+// list, counting from 1
+function getArtworkNumber(artwork) {
+    return exhibitList.indexOf(artwork.info) + 1;
+}
+
+// Keep the address pointing at the zoomed artwork so it can be shared
+function setArtworkHash(artwork) {
+    const address = window.location.pathname + window.location.search;
+    history.replaceState(null, '', artwork ? `${address}#artwork=${getArtworkNumber(artwork)}` : address);
+}
+
+// Zoom in on the artwork named in the address (#artwork=3), if there is one
+function openArtworkFromHash() {
+    const match = /^#artwork=(\d+)$/.exec(window.location.hash);
+    if (!match) return;
+
+    const artwork = getViewableArtworks().find(candidate => getArtworkNumber(candidate) === Number(match[1]));
+    if (!artwork) {
+        debugLog(`No artwork number ${match[1]} to open`);
+        return;
     }
-    
-    // Force position to center of museum
-    camera.position.set(0, 2, 0);
-    
-    // Reset controls and movement state
-    controls.getObject().position.set(0, 2, 0);
-    velocity.set(0, 0, 0);
-    direction.set(0, 0, 0);
-    moveForward = false;
-    moveBackward = false;
-    moveLeft = false;
-    moveRight = false;
-    
-    // Ensure controls are locked for navigation
-    if (!controls.isLocked) {
-        controls.lock();
+    if (tour) {
+        endTour();
     }
-    
-    debugLog("Emergency reset complete");
+    viewArtwork(artwork);
 }
 
-function animate() {
-    requestAnimationFrame(animate);
-
-    // Check if player is outside the museum bounds and fix if needed
-    if (!isZooming && camera.position.y < 0 || 
-        camera.position.x < -ROOM_WIDTH/2 - 5 || 
-        camera.position.x > ROOM_WIDTH/2 + 5 || 
-        camera.position.z < -ROOM_LENGTH/2 - 5 || 
-        camera.position.z > ROOM_LENGTH/2 + 5) {
-        debugLog("Player detected outside museum bounds, performing emergency reset");
-        emergencyReset();
-    }
+// Move on to the next (step 1) or previous (step -1) artwork while zoomed in
+function browseArtworks(step) {
+    if (!isZooming || !zoomedArtwork) return;
 
-    // Only process movement if controls are locked and not in zoom mode
-    if (controls.isLocked && !isZooming) {
-        const time = performance.now();
-        const delta = (time - prevTime) / 1000;
-
-        velocity.x -= velocity.x * 10.0 * delta;
-        velocity.z -= velocity.z * 10.0 * delta;
-
-        // Handle jumping and gravity
-        if (isJumping) {
-            // Apply gravity to jump velocity
-            jumpVelocity += GRAVITY * delta;
-            camera.position.y += jumpVelocity * delta;
-
-            // Check for landing on benches
-            let landedOnBench = false;
-            if (jumpVelocity < 0) { // Only check when falling
-                for (let item of furniture) {
-                    if (item.type === 'bench') {
-                        const dx = camera.position.x - item.position.x;
-                        const dz = camera.position.z - item.position.z;
-                        
-                        // Adjust bounds based on rotation
-                        let xBound = item.dimensions.x / 2;
-                        let zBound = item.dimensions.z / 2;
-                        
-                        if (item.rotation !== 0) {
-                            [xBound, zBound] = [zBound, xBound];
-                        }
-                        
-                        // Make the landing area slightly smaller than the bench to prevent edge issues
-                        const landingXBound = xBound - 0.2;
-                        const landingZBound = zBound - 0.2;
-                        
-                        // Check if we're above the bench and within its bounds
-                        if (Math.abs(dx) < landingXBound && Math.abs(dz) < landingZBound && 
-                            camera.position.y <= 3 && camera.position.y > 2) {
-                            camera.position.y = 3; // Set height to top of bench
-                            isJumping = false;
-                            canJump = true;
-                            jumpVelocity = 0;
-                            landedOnBench = true;
-                            break;
-                        }
-                    }
-                }
-            }
+    const ordered = orderArtworks(getViewableArtworks(), browseOrder, exhibitList, floorPlan.rooms);
+    const index = ordered.indexOf(zoomedArtwork);
+    if (index === -1 || ordered.length < 2) return;
+    zoomToAnotherArtwork(ordered[(index + step + ordered.length) % ordered.length]);
+}
 
-            // Check if we've landed on the ground
-            if (!landedOnBench && camera.position.y <= 2) {
-                camera.position.y = 2;
-                isJumping = false;
-                canJump = true;
-                jumpVelocity = 0;
-            }
-        } 
-        // Check if we're standing on a bench (not jumping)
-        else if (camera.position.y > 2) {
-            // Check if we're still on a bench
-            let onBench = false;
-            
-            for (let item of furniture) {
-                if (item.type === 'bench') {
-                    const dx = camera.position.x - item.position.x;
-                    const dz = camera.position.z - item.position.z;
-                    
-                    // Adjust bounds based on rotation
-                    let xBound = item.dimensions.x / 2;
-                    let zBound = item.dimensions.z / 2;
-                    
-                    if (item.rotation !== 0) {
-                        [xBound, zBound] = [zBound, xBound];
-                    }
-                    
-                    // Make the standing area slightly smaller than the bench to prevent edge issues
-                    const standingXBound = xBound - 0.2;
-                    const standingZBound = zBound - 0.2;
-                    
-                    // Check if we're still within the bench bounds
-                    if (Math.abs(dx) < standingXBound && Math.abs(dz) < standingZBound) {
-                        onBench = true;
-                        break;
-                    }
-                }
-            }
-            
-            // If we're not on a bench anymore, fall to ground level
-            if (!onBench) {
-                debugLog("Walked off bench, returning to ground level");
-                isJumping = true;
-                jumpVelocity = 0; // Start falling immediately
-            }
+// Wire up the next/previous buttons and the list of all artworks
+function setupArtworkBrowsing() {
+    const list = document.getElementById('artwork-list');
+    const orderSelect = document.getElementById('browse-order');
+
+    // Clicking these shouldn't count as a click on the museum
+    [list, document.getElementById('artwork-nav')].forEach(element => {
+        element.addEventListener('click', event => event.stopPropagation());
+    });
+    list.addEventListener('keydown', event => {
+        const action = getKeyAction(event);
+        if (action === 'close' || (action === 'list' && event.target !== orderSelect)) {
+            // Closing the list mustn't also leave the zoom view
+            event.stopPropagation();
+            closeArtworkList();
         }
+    });
 
-        direction.z = Number(moveForward) - Number(moveBackward);
-        direction.x = Number(moveRight) - Number(moveLeft);
-        direction.normalize();
+    document.getElementById('artwork-previous').addEventListener('click', () => browseArtworks(-1));
+    document.getElementById('artwork-next').addEventListener('click', () => browseArtworks(1));
+    document.getElementById('artwork-list-open').addEventListener('click', openArtworkList);
+    document.getElementById('artwork-close').addEventListener('click', resetZoom);
+    document.getElementById('artwork-list-close').addEventListener('click', closeArtworkList);
+
+    orderSelect.value = browseOrder;
+    orderSelect.addEventListener('change', () => {
+        browseOrder = orderSelect.value;
+        fillArtworkList();
+        fillGallery();
+    });
 
-        const speed = 50.0;
-        
-        // Calculate new position before moving
-        const newPosition = camera.position.clone();
-        if (moveForward || moveBackward) {
-            newPosition.z -= direction.z * speed * delta;
+    // Following a link to another artwork on this page
+    window.addEventListener('hashchange', openArtworkFromHash);
+}
+
+function openArtworkList() {
+    if (tour) return;
+
+    isArtworkListOpen = true;
+    moveForward = moveBackward = moveLeft = moveRight = false;
+    controls.unlock();
+    fillArtworkList();
+    document.getElementById('artwork-list').style.display = 'block';
+
+    const current = document.querySelector('#artwork-list-items [aria-current]') ||
+        document.querySelector('#artwork-list-items button');
+    if (current) {
+        current.focus();
+    }
+}
+
+function fillArtworkList() {
+    const ordered = orderArtworks(getViewableArtworks(), browseOrder, exhibitList, floorPlan.rooms);
+    document.getElementById('artwork-list-items').replaceChildren(...ordered.map(artwork => {
+        const button = document.createElement('button');
+        button.textContent = `${getArtworkNumber(artwork)}. ${artwork.title}`;
+        if (artwork === zoomedArtwork) {
+            button.setAttribute('aria-current', 'true');
         }
-        if (moveLeft || moveRight) {
-            newPosition.x -= direction.x * speed * delta;
+        button.addEventListener('click', () => {
+            closeArtworkList();
+            viewArtwork(artwork);
+        });
+
+        const item = document.createElement('li');
+        item.appendChild(button);
+        return item;
+    }));
+}
+
+function closeArtworkList() {
+    isArtworkListOpen = false;
+    document.getElementById('artwork-list').style.display = 'none';
+}
+
+// The minimap in the corner and the full map, where clicking an artwork's
+// marker takes the visitor to it
+function setupMaps() {
+    const minimapCanvas = document.getElementById('minimap');
+    const mapCanvas = document.getElementById('map-canvas');
+    const mapView = document.getElementById('map-view');
+    minimap = createMapView(minimapCanvas, { markerRadius: 3 });
+    fullMap = createMapView(mapCanvas, { markerRadius: 7 });
+
+    // Clicking the maps shouldn't count as a click on the museum
+    [minimapCanvas, mapView].forEach(element => {
+        element.addEventListener('click', event => event.stopPropagation());
+    });
+
+    minimapCanvas.addEventListener('click', event => {
+        const artwork = minimap.artworkAt(getViewableArtworks(), event.clientX, event.clientY);
+        if (artwork) {
+            travelToArtwork(artwork);
+        } else {
+            openMap();
         }
+    });
+    mapCanvas.addEventListener('click', event => {
+        const artwork = fullMap.artworkAt(getViewableArtworks(), event.clientX, event.clientY);
+        if (artwork) {
+            closeMap();
+            travelToArtwork(artwork);
+        }
+    });
+    mapView.addEventListener('keydown', event => {
+        const action = getKeyAction(event);
+        if (action === 'close' || action === 'map') {
+            // Closing the map mustn't also reach the museum's own keys
+            event.stopPropagation();
+            closeMap();
+        }
+    });
+    document.getElementById('map-close').addEventListener('click', closeMap);
+}
 
-        // Check both wall and furniture collisions
-        const hasWallCollision = (
-            newPosition.x < -ROOM_WIDTH/2 + 1 ||
-            newPosition.x > ROOM_WIDTH/2 - 1 ||
-            newPosition.z < -ROOM_LENGTH/2 + 1 ||
-            newPosition.z > ROOM_LENGTH/2 - 1
-        );
+function updateMaps() {
+    if (renderer.xr.isPresenting || (!settings.showMinimap && !isMapOpen)) return;
 
-        // Pass current height to collision check
-        newPosition.y = camera.position.y;
-        const hasFurnitureCollision = checkFurnitureCollision(newPosition);
+    const state = {
+        plan: floorPlan,
+        colliders: collisionWorld.colliders,
+        artworks: getViewableArtworks(),
+        isViewed: artwork => viewedArtworks.has(artwork.info),
+        position: camera.position,
+        direction: camera.getWorldDirection(mapDirection)
+    };
+    if (settings.showMinimap) {
+        minimap.draw(state);
+    }
+    if (isMapOpen) {
+        fullMap.draw(state);
+    }
+}
+
+function toggleMinimap() {
+    settings.showMinimap = !settings.showMinimap;
+    saveSettings(settings);
+    applySettings();
+}
+
+function openMap() {
+    if (isMapOpen || renderer.xr.isPresenting) return;
+
+    isMapOpen = true;
+    moveForward = moveBackward = moveLeft = moveRight = false;
+    controls.unlock();
+    document.getElementById('map-view').style.display = 'flex';
+    document.getElementById('map-close').focus();
+}
+
+function closeMap() {
+    isMapOpen = false;
+    document.getElementById('map-view').style.display = 'none';
+}
+
+// Fast travel to a spot in front of an artwork, facing it
+function travelToArtwork(artwork) {
+    if (renderer.xr.isPresenting) return;
+    if (tour) {
+        endTour();
+    }
+    if (isZooming) {
+        resetZoom();
+    }
+    debugLog(`Travelling to "${artwork.title}"`);
+
+    const outwards = new THREE.Vector3(0, 0, 1).applyQuaternion(artwork.group.quaternion);
+    const spot = artwork.group.position.clone().addScaledVector(outwards, FAST_TRAVEL_DISTANCE);
+    spot.y = settings.headHeight;
+    const position = findSafePosition(spot);
+
+    cameraTransitions.moveTo({
+        position,
+        lookAt: new THREE.Vector3(artwork.group.position.x, position.y, artwork.group.position.z),
+        duration: ZOOM_TRANSITION_DURATION
+    });
+}
+
+// The gallery: every artwork with its title, what the picture shows and its
+// message, for screen readers and for anyone getting about with the keyboard.
+// It's rebuilt whenever the artworks change.
+function fillGallery() {
+    const ordered = orderArtworks(getViewableArtworks(), browseOrder, exhibitList, floorPlan.rooms);
+    document.getElementById('gallery-items').replaceChildren(...ordered.map(artwork => {
+        const title = document.createElement('h3');
+        title.id = `gallery-artwork-${getArtworkNumber(artwork)}`;
+        title.textContent = `${getArtworkNumber(artwork)}. ${artwork.title}`;
+
+        const item = document.createElement('li');
+        item.setAttribute('aria-labelledby', title.id);
+        item.appendChild(title);
+        if (artwork.alt) {
+            const alt = document.createElement('p');
+            alt.className = 'gallery-alt';
+            alt.textContent = `Picture: ${artwork.alt}`;
+            item.appendChild(alt);
+        }
+        const description = document.createElement('p');
+        description.textContent = artwork.description;
+
+        const button = document.createElement('button');
+        button.textContent = 'View';
+        button.setAttribute('aria-describedby', title.id);
+        button.addEventListener('click', () => {
+            if (tour) {
+                endTour();
+            }
+            viewArtwork(artwork);
+        });
+        item.append(description, button);
+        return item;
+    }));
+}
+
+// The settings panel: sliders for looking, walking, field of view, eye
+// height and the controller's dead zone, a switch for jumping and a button
+// per key binding
+function setupSettingsPanel() {
+    const panel = document.getElementById('settings-panel');
+
+    // Using the panel shouldn't count as a click on the museum
+    panel.addEventListener('click', event => event.stopPropagation());
+    panel.addEventListener('keydown', onSettingsKeyDown);
+
+    Object.entries(SETTING_RANGES).forEach(([name, range]) => {
+        const slider = document.getElementById(`setting-${name}`);
+        slider.min = range.min;
+        slider.max = range.max;
+        slider.step = range.step;
+        slider.addEventListener('input', () => changeSetting(name, Number(slider.value)));
+    });
+    Object.keys(SETTING_SWITCHES).concat('reducedMotion').forEach(name => {
+        document.getElementById(`setting-${name}`).addEventListener('change', event => {
+            changeSetting(name, event.target.checked);
+        });
+    });
+
+    document.getElementById('settings-open').addEventListener('click', openSettings);
+    document.getElementById('settings-close').addEventListener('click', closeSettings);
+    document.getElementById('settings-defaults').addEventListener('click', () => {
+        const previousHeadHeight = settings.headHeight;
+        settings = defaultSettings();
+        moveToHeadHeight(previousHeadHeight);
+        saveSettings(settings);
+        applySettings();
+        fillSettingsPanel();
+    });
+
+    // Name the keys as they're printed on the visitor's keyboard, where the browser can tell
+    if (navigator.keyboard && navigator.keyboard.getLayoutMap) {
+        navigator.keyboard.getLayoutMap().then(layoutMap => {
+            keyboardLayout = layoutMap;
+            updateKeyLabels();
+        }).catch(error => {
+            debugLog("Keyboard layout unavailable:", error);
+        });
+    }
+
+    applySettings();
+}
+
+function changeSetting(name, value) {
+    const previousHeadHeight = settings.headHeight;
+    settings[name] = value;
+    moveToHeadHeight(previousHeadHeight);
+    saveSettings(settings);
+    applySettings();
+    fillSettingsPanel();
+}
+
+// Keep the visitor's feet where they are when their eye height changes
+function moveToHeadHeight(previousHeadHeight) {
+    if (isZooming || tour || cameraTransitions.active || renderer.xr.isPresenting) return;
+    camera.position.y += settings.headHeight - previousHeadHeight;
+}
+
+// Put the settings into effect straight away
+function applySettings() {
+    camera.fov = settings.fov;
+    camera.updateProjectionMatrix();
+    controls.pointerSpeed = settings.lookSensitivity;
+    gamepad.settings.deadZone = settings.gamepadDeadZone / 100;
+    document.body.classList.toggle('high-contrast', settings.highContrast);
+    document.body.classList.toggle('show-gallery', settings.showGallery);
+    document.body.classList.toggle('reduced-motion', isMotionReduced());
+    document.getElementById('minimap').style.display = settings.showMinimap ? 'block' : 'none';
+    updateKeyLabels();
+}
+
+// Whether to keep still: camera moves cut instead of easing and animated
+// artworks wait to be opened
+function isMotionReduced() {
+    return settings.reducedMotion ?? prefersReducedMotion();
+}
+
+// Show the current key bindings wherever the page and the guestbook board mention a key
+function updateKeyLabels() {
+    document.querySelectorAll('[data-key-action]').forEach(element => {
+        element.textContent = keyLabel(element.dataset.keyAction);
+    });
+    if (guestbookBoard) {
+        guestbookBoard.setKey(keyLabel('guestbook'));
+    }
+}
 
-        // Only move if no collisions
-        if (!hasWallCollision && !hasFurnitureCollision) {
-            if (moveForward || moveBackward) velocity.z -= direction.z * speed * delta;
-            if (moveLeft || moveRight) velocity.x -= direction.x * speed * delta;
+function openSettings() {
+    if (isSettingsOpen) return;
 
-            controls.moveRight(-velocity.x * delta);
-            controls.moveForward(-velocity.z * delta);
+    isSettingsOpen = true;
+    moveForward = moveBackward = moveLeft = moveRight = false;
+    controls.unlock();
+    fillSettingsPanel();
+    document.getElementById('settings-panel').style.display = 'block';
+    document.getElementById(`setting-${Object.keys(SETTING_RANGES)[0]}`).focus();
+}
+
+function fillSettingsPanel() {
+    Object.entries(SETTING_RANGES).forEach(([name, range]) => {
+        document.getElementById(`setting-${name}`).value = settings[name];
+        document.getElementById(`setting-${name}-value`).textContent =
+            settings[name].toFixed(range.step < 1 ? 1 : 0) + range.unit;
+    });
+    Object.keys(SETTING_SWITCHES).forEach(name => {
+        document.getElementById(`setting-${name}`).checked = settings[name];
+    });
+    document.getElementById('setting-reducedMotion').checked = isMotionReduced();
+
+    document.getElementById('settings-keys').replaceChildren(...Object.entries(KEY_ACTIONS).map(([action, { label }]) => {
+        const name = document.createElement('td');
+        name.textContent = label;
+
+        const button = document.createElement('button');
+        button.dataset.action = action;
+        button.textContent = action === rebindingAction ? 'Press a key…' : keyLabel(action);
+        button.setAttribute('aria-label', `${label}: ${button.textContent}. Press to change`);
+        button.addEventListener('click', () => {
+            rebindingAction = action;
+            fillSettingsPanel();
+            focusKeyButton(action);
+        });
+        const key = document.createElement('td');
+        key.appendChild(button);
+
+        const row = document.createElement('tr');
+        row.append(name, key);
+        return row;
+    }));
+}
+
+function focusKeyButton(action) {
+    document.querySelector(`#settings-keys button[data-action="${action}"]`).focus();
+}
+
+function onSettingsKeyDown(event) {
+    // The next key pressed after choosing an action becomes its key, or Escape keeps the old one
+    if (rebindingAction) {
+        event.preventDefault();
+        event.stopPropagation();
+        const action = rebindingAction;
+        rebindingAction = null;
+        if (event.code !== 'Escape') {
+            bindKey(settings, action, event.code);
+            saveSettings(settings);
+            updateKeyLabels();
+        }
+        fillSettingsPanel();
+        focusKeyButton(action);
+        return;
+    }
+
+    const action = getKeyAction(event);
+    if (action === 'close' || action === 'settings') {
+        // Closing mustn't also reach the museum's own keys
+        event.stopPropagation();
+        closeSettings();
+    }
+}
+
+function closeSettings() {
+    isSettingsOpen = false;
+    rebindingAction = null;
+    document.getElementById('settings-panel').style.display = 'none';
+}
+
+// Take the visitor round every artwork, in the order the manifest asks for
+function startTour() {
+    if (tour || isZooming) return;
+    const ordered = orderArtworks(getViewableArtworks(), tourSettings.order, exhibitList, floorPlan.rooms);
+    if (ordered.length === 0) return;
+
+    debugLog(`Starting a ${tourSettings.order} tour of ${ordered.length} artworks`);
+
+    // Stand still and let go of the mouse while the tour steers
+    moveForward = false;
+    moveBackward = false;
+    moveLeft = false;
+    moveRight = false;
+    cameraTransitions.cancel();
+    controls.unlock();
+    museumAudio.start();
+
+    tour = createTour({
+        camera,
+        stops: ordered.map(artwork => ({
+            artwork,
+            position: getViewingPosition(artwork),
+            target: artwork.group.position
+        })),
+        // Benches and planters are walked round, not jumped over
+        isClear: (x, z) => isWalkable(floorPlan, x, z, WALL_MARGIN) &&
+            !isBlocked(new THREE.Vector3(x, settings.headHeight, z)),
+        bounds: floorPlan.bounds,
+        stopSeconds: tourSettings.stopSeconds,
+        reducedMotion: isMotionReduced
+    }, {
+        onDepart: updateTourControls,
+        onArrive(stop) {
+            showArtworkInfo(stop.artwork, tourSettings.playAudio);
+        },
+        onLeave: hideArtworkInfo,
+        onFinish: endTour
+    });
+    tour.start();
+    updateTourControls();
+}
+
+// Stop the tour where it is. The visitor clicks (or the caller locks the
+// controls) to carry on walking from there.
+function endTour() {
+    if (!tour) return;
+    tour.stop();
+    tour = null;
+    debugLog("Tour ended at:", camera.position);
+
+    clampToFloorPlan(floorPlan, camera.position, WALL_MARGIN);
+    camera.position.y = settings.headHeight;
+    updateTourControls();
+}
+
+function toggleTourPause() {
+    if (!tour) return;
+    if (tour.paused) {
+        tour.resume();
+    } else {
+        tour.pause();
+    }
+    updateTourControls();
+}
+
+// Wire up the start button and the buttons shown during a tour
+function setupTourControls() {
+    // Using the controls shouldn't count as a click on the museum, and a
+    // focused button mustn't be pressed again by the space bar
+    document.getElementById('tour-controls').addEventListener('click', event => {
+        event.stopPropagation();
+        if (event.target instanceof HTMLElement) {
+            event.target.blur();
+        }
+    });
+
+    document.getElementById('tour-start').addEventListener('click', startTour);
+    document.getElementById('tour-pause').addEventListener('click', toggleTourPause);
+    document.getElementById('tour-previous').addEventListener('click', () => tour && tour.previous());
+    document.getElementById('tour-next').addEventListener('click', () => tour && tour.next());
+    document.getElementById('tour-exit').addEventListener('click', () => {
+        endTour();
+        lockControls();
+    });
+}
+
+function updateTourControls() {
+    document.getElementById('tour-controls').classList.toggle('touring', tour !== null);
+    if (!tour) return;
+
+    document.getElementById('tour-pause').textContent = tour.paused ? '▶ Resume' : '⏸ Pause';
+    const index = Math.max(tour.index, 0);
+    document.getElementById('tour-status').textContent = `${index + 1} of ${tour.stopCount}`;
+}
+
+// Wire up the global mute button and volume slider
+function setupAudioControls() {
+    const muteButton = document.getElementById('audio-mute');
+    const volumeSlider = document.getElementById('audio-volume');
+
+    // Using the controls shouldn't count as a click on the museum
+    document.getElementById('audio-controls').addEventListener('click', event => event.stopPropagation());
+
+    volumeSlider.value = museumAudio.volume * 100;
+
+    muteButton.addEventListener('click', () => {
+        museumAudio.start();
+        museumAudio.setMuted(!museumAudio.muted);
+        muteButton.textContent = museumAudio.muted ? '🔇 Sound off' : '🔊 Sound on';
+    });
+
+    volumeSlider.addEventListener('input', () => {
+        museumAudio.setVolume(volumeSlider.value / 100);
+    });
+}
+
+// Wire up the play/pause and mute buttons in the artwork info panel
+function setupMediaControls() {
+    const playButton = document.getElementById('media-play');
+    const muteButton = document.getElementById('media-mute');
+
+    // Clicking a button shouldn't count as a click on the museum
+    [playButton, muteButton].forEach(button => {
+        button.addEventListener('click', event => event.stopPropagation());
+    });
+
+    playButton.addEventListener('click', () => {
+        if (!zoomedArtwork || !zoomedArtwork.player) return;
+        zoomedArtwork.userPaused = !zoomedArtwork.player.paused;
+        if (zoomedArtwork.userPaused) {
+            zoomedArtwork.player.pause();
         } else {
-            // If there's a collision, try sliding along the collision surface
-            // This helps prevent getting stuck against furniture
-            const slidePositionX = camera.position.clone();
-            slidePositionX.x = newPosition.x;
-            slidePositionX.y = camera.position.y;
-            
-            const slidePositionZ = camera.position.clone();
-            slidePositionZ.z = newPosition.z;
-            slidePositionZ.y = camera.position.y;
-            
-            // Try to slide in X direction
-            if ((moveForward || moveBackward) && !checkFurnitureCollision(slidePositionX) && 
-                slidePositionX.x >= -ROOM_WIDTH/2 + 1 && slidePositionX.x <= ROOM_WIDTH/2 - 1) {
-                controls.moveRight(-velocity.x * delta);
+            zoomedArtwork.player.play();
+        }
+        updateMediaControls();
+    });
+
+    muteButton.addEventListener('click', () => {
+        if (!zoomedArtwork || !zoomedArtwork.player) return;
+        zoomedArtwork.player.setMuted(!zoomedArtwork.player.muted);
+        updateMediaControls();
+    });
+}
+
+// Show the playback buttons that make sense for the zoomed artwork
+function updateMediaControls() {
+    const player = zoomedArtwork && zoomedArtwork.player;
+    document.getElementById('media-controls').style.display = player ? 'block' : 'none';
+    if (!player) return;
+
+    document.getElementById('media-play').textContent = zoomedArtwork.userPaused ? 'Play' : 'Pause';
+    const muteButton = document.getElementById('media-mute');
+    muteButton.style.display = player.hasSound ? 'inline-block' : 'none';
+    muteButton.textContent = player.muted ? 'Unmute' : 'Mute';
+}
+
+// Find the artwork under the crosshair (or under the mouse when the pointer
+// is free), highlight it and offer to open it
+function updateArtworkHover() {
+    let target = null;
+    if (renderer.xr.isPresenting) {
+        target = xrControls.pointedArtwork;
+    } else if (!isZooming && !tour && !isGuestbookOpen && !isArtworkListOpen && !isSettingsOpen && !isMapOpen &&
+        !cameraTransitions.active) {
+        if (controls.isLocked || isUsingGamepad) {
+            target = artworkPicker.pick(artworks, getPickOccluders(), SCREEN_CENTER);
+        } else if (isPointerOnPage && !isTouchMode) {
+            target = artworkPicker.pick(artworks, getPickOccluders(), pointerPosition);
+        }
+    }
+    if (target === hoveredArtwork) return;
+
+    if (hoveredArtwork) {
+        setArtworkHighlight(hoveredArtwork, false);
+    }
+    hoveredArtwork = target;
+
+    const prompt = document.getElementById('view-prompt');
+    if (target && !renderer.xr.isPresenting) {
+        setArtworkHighlight(target, true);
+        prompt.textContent = `Press ${keyLabel('view')} or click to view "${target.title}"`;
+        prompt.style.display = 'block';
+    } else {
+        prompt.style.display = 'none';
+    }
+    renderer.domElement.style.cursor = target && !controls.isLocked ? 'pointer' : '';
+}
+
+// Things that hide an artwork behind them from picking
+function getPickOccluders() {
+    return guestbookBoard ? wallPieces.concat(guestbookBoard.group) : wallPieces;
+}
+
+// Play videos and animations the visitor is close to (or zoomed in on) and
+// pause the rest
+function updateArtworkMedia() {
+    const now = performance.now();
+    artworks.forEach(artwork => {
+        if (!artwork.player) return;
+
+        const shouldPlay = artwork === zoomedArtwork
+            ? !artwork.userPaused
+            : !isZooming && !isMotionReduced() &&
+                camera.position.distanceTo(artwork.group.position) < MEDIA_PLAY_DISTANCE;
+        if (shouldPlay) {
+            artwork.player.play();
+        } else {
+            artwork.player.pause();
+        }
+        artwork.player.update(now);
+    });
+}
+
+// The visitor's body standing with their eyes at `position`, for the collision world
+function getVisitorBody(position = camera.position) {
+    return {
+        radius: VISITOR_RADIUS,
+        feet: position.y - settings.headHeight,
+        height: settings.headHeight + HEAD_CLEARANCE,
+        stepHeight: STEP_HEIGHT
+    };
+}
+
+// Whether a visitor with their eyes at `position` would be inside a wall or furniture
+function isBlocked(position) {
+    return collisionWorld.collides(position.x, position.z, getVisitorBody(position));
+}
+
+// Show or hide the collision boxes, for checking what the visitor bumps into
+function toggleColliderView() {
+    if (colliderView) {
+        scene.remove(colliderView);
+        colliderView.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        colliderView = null;
+    } else {
+        colliderView = collisionWorld.createDebugView();
+        scene.add(colliderView);
+    }
+}
+
+// Whether the visitor is walking around, rather than zoomed in, touring or
+// using a panel. With a mouse that also needs pointer lock.
+function canWalk() {
+    return (controls.isLocked || isTouchMode || isUsingGamepad) && !isZooming && !tour &&
+        !isGuestbookOpen && !isArtworkListOpen && !isSettingsOpen && !isMapOpen && !cameraTransitions.active &&
+        !renderer.xr.isPresenting;
+}
+
+// Which way the visitor wants to walk: forward and right, each from -1 to 1
+function getMovementInput() {
+    let forward = Number(moveForward) - Number(moveBackward);
+    let right = Number(moveRight) - Number(moveLeft);
+    if (touchControls) {
+        forward += touchControls.axes.forward;
+        right += touchControls.axes.right;
+    }
+    forward += gamepad.axes.forward;
+    right += gamepad.axes.right;
+    return {
+        forward: Math.max(-1, Math.min(1, forward)),
+        right: Math.max(-1, Math.min(1, right))
+    };
+}
+
+// Hand the mouse back to the museum view. Touch devices have no pointer
+// lock, and a controller doesn't need it (nor can its buttons ask for it).
+function lockControls() {
+    if (!isTouchMode && !isUsingGamepad) {
+        controls.lock();
+    }
+}
+
+function updateCrosshair() {
+    document.getElementById('crosshair').style.display = controls.isLocked || isUsingGamepad ? 'block' : 'none';
+}
+
+// Switch between steering with the controller and with the mouse and
+// keyboard, whichever the visitor touched last
+function useGamepad(using) {
+    if (using === isUsingGamepad) return;
+    isUsingGamepad = using;
+    updateCrosshair();
+}
+
+// Joystick to walk, drag to look, tap an artwork to view it and pinch to
+// magnify it once zoomed in
+function setupTouchControls() {
+    document.body.classList.add('touch-mode');
+
+    touchControls = createTouchControls(renderer.domElement, document.getElementById('touch-joystick'), {
+        onLook(dx, dy) {
+            if (canWalk()) {
+                lookBy(camera, dx, dy, settings.lookSensitivity);
             }
-            
-            // Try to slide in Z direction
-            if ((moveLeft || moveRight) && !checkFurnitureCollision(slidePositionZ) && 
-                slidePositionZ.z >= -ROOM_LENGTH/2 + 1 && slidePositionZ.z <= ROOM_LENGTH/2 - 1) {
-                controls.moveForward(-velocity.z * delta);
+        },
+        onTap(x, y) {
+            if (!canWalk()) return;
+            const tapPosition = new THREE.Vector2((x / window.innerWidth) * 2 - 1, -(y / window.innerHeight) * 2 + 1);
+            const artwork = artworkPicker.pick(artworks, getPickOccluders(), tapPosition);
+            if (artwork) {
+                zoomToArtwork(artwork);
+            }
+        },
+        onPinch(scale) {
+            if (!isZooming) return;
+            camera.zoom = Math.max(1, Math.min(MAX_PINCH_ZOOM, camera.zoom * scale));
+            camera.updateProjectionMatrix();
+        }
+    });
+}
+
+// Left stick walks, right stick looks, A views, B backs out, Y resets and
+// the d-pad browses artworks
+function setupGamepad() {
+    gamepad = createGamepadInput({
+        onButton: onGamepadButton,
+        onUse: () => useGamepad(true),
+        onConnect(pad) {
+            debugLog("Controller connected:", pad.id);
+            showGamepadStatus(`🎮 ${pad.id.replace(/\s*\(.*\)\s*$/, '') || 'Controller'} connected`, false);
+        },
+        onDisconnect() {
+            debugLog("Controller disconnected");
+            showGamepadStatus('🎮 Controller disconnected', true);
+            useGamepad(false);
+        }
+    });
+}
+
+function onGamepadButton(button) {
+    if (isGuestbookOpen || renderer.xr.isPresenting) return;
+    if (isSettingsOpen) {
+        if (button === 'b') closeSettings();
+        return;
+    }
+    if (isMapOpen) {
+        if (button === 'b') closeMap();
+        return;
+    }
+    if (isArtworkListOpen) {
+        if (button === 'b') closeArtworkList();
+        return;
+    }
+    
+    if (tour) {
+        switch (button) {
+            case 'a':
+            case 'start':
+                toggleTourPause();
+                break;
+            case 'b':
+                endTour();
+                break;
+            case 'left':
+                tour.previous();
+                break;
+            case 'right':
+                tour.next();
+                break;
+        }
+        return;
+    }
+    
+    if (isZooming) {
+        switch (button) {
+            case 'b':
+                resetZoom();
+                break;
+            case 'left':
+                browseArtworks(-1);
+                break;
+            case 'right':
+                browseArtworks(1);
+                break;
+        }
+        return;
+    }
+    
+    switch (button) {
+        case 'a': {
+            // Like V: the artwork under the crosshair, or failing that a best guess
+            const artwork = hoveredArtwork || findNearestArtwork();
+            if (artwork) {
+                zoomToArtwork(artwork);
             }
+            break;
+        }
+        case 'y':
+            debugLog("Emergency reset triggered from the controller");
+            emergencyReset();
+            break;
+    }
+}
+
+// Tell the visitor a controller came or went. Disconnections fade after a few seconds.
+function showGamepadStatus(message, fade) {
+    const status = document.getElementById('gamepad-status');
+    status.textContent = message;
+    status.style.display = 'block';
+    clearTimeout(gamepadStatusTimer);
+    if (fade) {
+        gamepadStatusTimer = setTimeout(() => {
+            status.style.display = 'none';
+        }, 3000);
+    }
+}
+
+// Turn with the right stick, at the sensitivity set for the controller
+function updateGamepadLook(delta) {
+    if (!gamepad.connected || !canWalk()) return;
+    const speed = gamepad.settings.lookSensitivity * settings.lookSensitivity * delta;
+    turnCamera(camera, -gamepad.axes.lookX * speed, -gamepad.axes.lookY * speed);
+}
+
+// VR: an Enter VR button, teleporting with the controllers and a panel in
+// the room for the artwork they point at
+function setupXR() {
+    const vrButton = VRButton.createButton(renderer);
+    vrButton.addEventListener('click', event => event.stopPropagation());
+    document.body.appendChild(vrButton);
+
+    xrInfoPanel = createXRInfoPanel();
+    scene.add(xrInfoPanel.mesh);
+
+    xrControls = createXRControls({ renderer, scene, camera, findTarget: findXRTarget }, {
+        onSelectArtwork: showXRArtwork,
+        onDeselect: hideXRArtwork,
+        onTeleport(x, z) {
+            debugLog(`Teleported to ${x.toFixed(1)}, ${z.toFixed(1)}`);
+        }
+    });
+
+    renderer.xr.addEventListener('sessionstart', () => {
+        debugLog("Entering VR");
+        // Leave whatever the page was doing; the headset takes over the camera
+        if (tour) {
+            endTour();
         }
+        if (isZooming) {
+            resetZoom();
+        }
+        cameraTransitions.cancel();
+        closeArtworkList();
+        closeGuestbookForm();
+        controls.unlock();
+        resetPinchZoom();
+        museumAudio.start();
+
+        const yaw = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ').y;
+        xrControls.start(camera.position, yaw);
+    });
+
+    renderer.xr.addEventListener('sessionend', () => {
+        debugLog("Leaving VR");
+        hideXRArtwork();
+        xrControls.end();
+
+        // Back at eye height where the headset left off, looking level
+        clampToFloorPlan(floorPlan, camera.position, WALL_MARGIN);
+        camera.position.y = settings.headHeight;
+        const yaw = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ').y;
+        camera.quaternion.setFromEuler(new THREE.Euler(0, yaw, 0, 'YXZ'));
+    });
+}
+
+// What a VR controller's laser is pointing at (see createXRControls)
+function findXRTarget(raycaster) {
+    raycaster.far = XR_POINTER_DISTANCE;
+    const hit = raycaster.intersectObjects(
+        artworks.map(artwork => artwork.group).concat(getPickOccluders(), floorPieces),
+        true
+    )[0];
+    if (!hit) return null;
+
+    const artwork = artworkForObject(hit.object, artworks);
+    if (artwork) {
+        return { artwork, point: hit.point };
+    }
+    if (floorPieces.includes(hit.object)) {
+        const { x, z } = hit.point;
+        return {
+            point: hit.point,
+            floor: true,
+            valid: isWalkable(floorPlan, x, z, WALL_MARGIN) &&
+                !isBlocked(new THREE.Vector3(x, settings.headHeight, z))
+        };
+    }
+    return { point: hit.point };
+}
+
+// In VR an artwork's message floats in front of it instead of in the HTML overlay
+function showXRArtwork(artwork) {
+    if (artwork === zoomedArtwork) return;
+    hideXRArtwork();
+
+    zoomedArtwork = artwork;
+    viewedArtworks.add(artwork.info);
+    xrInfoPanel.show(artwork, artwork.title, artwork.description);
+    if (artwork.voiceNote) {
+        museumAudio.playVoiceNoteInFull(artwork.voiceNote);
+    }
+    if (presence && isHost) {
+        presence.sendZoom(artwork.imagePath);
+    }
+}
+
+function hideXRArtwork() {
+    if (!zoomedArtwork) return;
+    xrInfoPanel.hide();
+    hideArtworkInfo();
+}
+
+function resetPinchZoom() {
+    if (camera.zoom !== 1) {
+        camera.zoom = 1;
+        camera.updateProjectionMatrix();
+    }
+}
+
+// Emergency reset function to get back inside the museum
+function emergencyReset() {
+    if (tour) {
+        endTour();
+    }
+    
+    // Reset zoom state if needed
+    if (isZooming) {
+        resetZoom();
+    }
+    cameraTransitions.cancel();
+    
+    // Force position to center of the first room
+    const entrance = floorPlan.rooms[0];
+    camera.position.set(entrance.x, settings.headHeight, entrance.z);
+    
+    // Reset controls and movement state
+    controls.getObject().position.set(entrance.x, settings.headHeight, entrance.z);
+    placeVisitor(visitor, camera.position);
+    timestep.reset();
+    direction.set(0, 0, 0);
+    moveForward = false;
+    moveBackward = false;
+    moveLeft = false;
+    moveRight = false;
+    
+    // Ensure controls are locked for navigation
+    if (!controls.isLocked) {
+        lockControls();
+    }
+    
+    debugLog("Emergency reset complete");
+}
+
+// What the visitor is doing for the next simulation step: keys and the touch
+// joystick both steer
+function getSimulationInput() {
+    const input = getMovementInput();
+    direction.set(input.right, 0, input.forward);
+    if (direction.length() > 1) {
+        direction.normalize();
+    }
+
+    // Level, even when looking up or down, the same way PointerLockControls walks
+    facingRight.setFromMatrixColumn(camera.matrix, 0);
+    return {
+        forward: direction.z,
+        right: direction.x,
+        jump: jumpRequested,
+        facing: { x: facingRight.z, z: -facingRight.x }
+    };
+}
+
+// How the visitor moves, from their settings
+function getPhysics() {
+    return {
+        world: collisionWorld,
+        body: y => getVisitorBody({ y }),
+        headHeight: settings.headHeight,
+        walkSpeed: settings.walkSpeed,
+        stepHeight: STEP_HEIGHT,
+        gravity: GRAVITY,
+        jumpForce: JUMP_FORCE
+    };
+}
+
+function animate() {
+    const frameTime = performance.now();
+    const frameDelta = Math.min((frameTime - lastFrameTime) / 1000, 0.1);
+    lastFrameTime = frameTime;
+
+    gamepad.poll();
+    updateGamepadLook(frameDelta);
+    cameraTransitions.update(frameDelta);
+    if (tour) {
+        tour.update(frameDelta);
+    }
 
-        prevTime = time;
-    } else if (!controls.isLocked) {
-        // When controls are unlocked (in zoom mode), still update the time
-        prevTime = performance.now();
+    if (renderer.xr.isPresenting) {
+        xrControls.update();
+    }
+
+    // Check if player is outside the museum bounds and fix if needed.
+    // In VR the headset places the camera, and teleporting keeps it inside.
+    if (!renderer.xr.isPresenting && (!isZooming && camera.position.y < 0 || 
+        distanceToFloorPlan(floorPlan, camera.position.x, camera.position.z) > 5)) {
+        debugLog("Player detected outside museum bounds, performing emergency reset");
+        emergencyReset();
+    }
+
+    // Only process movement while the visitor is walking around. The rest of
+    // the time the camera is moved for them, and walking carries on from there.
+    if (canWalk()) {
+        if (!isWalking) {
+            placeVisitor(visitor, camera.position);
+            timestep.reset();
+            isWalking = true;
+        }
+        const alpha = timestep.advance(frameDelta, step => {
+            stepVisitor(visitor, getSimulationInput(), step, getPhysics());
+            jumpRequested = false;
+        });
+        interpolateVisitor(visitor, alpha, camera.position);
+    } else {
+        isWalking = false;
+        jumpRequested = false;
     }
 
+    updateArtworkHover();
+    updateArtworkMedia();
+    updateMaps();
+    museumAudio.update();
+    updatePresence(frameTime, frameDelta);
     renderer.render(scene, camera);
 } 
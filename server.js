@@ -1,20 +1,50 @@
 const express = require('express');
 const path = require('path');
+const { createMuseumAdminRouter, createMuseumRegistry, openMuseum } = require('./lib/museums');
+const { attachPresence } = require('./lib/presence');
 const app = express();
 
-// Serve static files from the current directory
-app.use(express.static(__dirname));
+// Set CURATOR_TOKEN to require that token for every change to a museum.
+// Without it, museums can only be changed from this machine.
+const token = process.env.CURATOR_TOKEN;
 
-// Explicitly serve the images directory
-app.use('/images', express.static(path.join(__dirname, 'images')));
+// Any number of other museums, each in its own folder and shown at /m/<id>/
+const museumsDir = path.resolve(process.env.MUSEUMS_DIR || path.join(__dirname, 'museums'));
 
-// Serve index.html for the root route
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
+// The museum in this folder, shown at the root of the site. Other museums
+// are only reached through /m/<id>/, even when their folder is in here.
+const mainMuseum = openMuseum({ id: null, dir: __dirname, appDir: __dirname, token, hiddenDirs: [museumsDir] });
+const registry = createMuseumRegistry({ museumsDir, appDir: __dirname, token });
+
+// Create, list and delete museums
+app.use('/api/museums', createMuseumAdminRouter({ registry, token }));
+
+app.use('/m/:museumId', async (req, res, next) => {
+    try {
+        const museum = await registry.get(req.params.museumId);
+        if (!museum) {
+            return res.status(404).send('There is no museum at this address');
+        }
+
+        // The museum page loads its files by relative path, so it needs the trailing slash
+        const [pathname, query] = req.originalUrl.split(/\?(.*)/s);
+        if (req.path === '/' && !pathname.endsWith('/')) {
+            return res.redirect(301, `${pathname}/${query !== undefined ? '?' + query : ''}`);
+        }
+
+        museum.router(req, res, next);
+    } catch (error) {
+        next(error);
+    }
 });
 
-const port = 3002;
-app.listen(port, () => {
+app.use(mainMuseum.router);
+
+const port = process.env.PORT || 3002;
+const server = app.listen(port, () => {
     console.log(`Museum server running at http://localhost:${port}`);
-    console.log(`Images are served from: ${path.join(__dirname, 'images')}`);
-}); 
\ No newline at end of file
+    console.log(`Other museums are kept in: ${museumsDir}`);
+});
+
+// Let visitors in the same museum see each other
+attachPresence(server, { findMuseum: id => registry.get(id) });
\ No newline at end of file
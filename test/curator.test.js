@@ -0,0 +1,248 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createCuratorRouter, requireCuratorToken } = require('../lib/curator');
+const { createManifestStore } = require('../lib/manifest-store');
+
+const TOKEN = 'let-me-curate';
+
+// Just enough of a PNG for its type and size to be read. `seed` changes
+// the contents without changing the size, for telling uploads apart.
+function png(seed = 0) {
+    const data = Buffer.alloc(40);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(data);
+    data.writeUInt32BE(13, 8);
+    data.write('IHDR', 12);
+    data.writeUInt32BE(2, 16);
+    data.writeUInt32BE(2, 20);
+    data[24] = 8;
+    data[25] = 6;
+    data.writeUInt32BE(seed, 36);
+    return data;
+}
+
+// A museum folder with an empty manifest and the curator API on a local
+// port. `wrapStore` can stand in for the manifest store.
+async function startCurator(t, { token = TOKEN, wrapStore = store => store } = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'museum-curator-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const imagesDir = path.join(dir, 'images');
+    await fs.mkdir(imagesDir);
+    const manifestPath = path.join(dir, 'exhibit.json');
+    const store = wrapStore(createManifestStore(manifestPath));
+
+    const app = express();
+    app.use('/api/artworks', createCuratorRouter({ imagesDir, imagesUrlPrefix: 'images', store, token }));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const url = `http://127.0.0.1:${server.address().port}/api/artworks`;
+    return {
+        imagesDir,
+        readManifest: async () => JSON.parse(await fs.readFile(manifestPath, 'utf8')),
+        writeManifest: manifest => fs.writeFile(manifestPath, JSON.stringify(manifest)),
+        // Call the API with the curator token, unless `headers` says otherwise
+        async request(method, pathname = '', { json, form, headers = {} } = {}) {
+            const response = await fetch(url + pathname, {
+                method,
+                headers: {
+                    'X-Curator-Token': TOKEN,
+                    ...(json ? { 'Content-Type': 'application/json' } : {}),
+                    ...headers
+                },
+                body: json ? JSON.stringify(json) : form
+            });
+            const text = await response.text();
+            return { status: response.status, body: text ? JSON.parse(text) : null };
+        }
+    };
+}
+
+function uploadForm({ image = png(), type = 'image/png', name = 'Beach Day!.png', title = 'Beach', description = 'Sunset swim' } = {}) {
+    const form = new FormData();
+    if (image) {
+        form.append('image', new Blob([image], { type }), name);
+    }
+    // null leaves a field out
+    if (title !== null) form.append('title', title);
+    if (description !== null) form.append('description', description);
+    return form;
+}
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+test('refuses changes without the curator token but lets anyone read', async t => {
+    const curator = await startCurator(t);
+
+    assert.equal((await curator.request('GET', '', { headers: { 'X-Curator-Token': '' } })).status, 200);
+    for (const token of ['', 'let-me-curat', 'let-me-curatE']) {
+        const { status, body } = await curator.request('POST', '', { form: uploadForm(), headers: { 'X-Curator-Token': token } });
+        assert.equal(status, 401, `token "${token}"`);
+        assert.equal(body.error, 'A valid curator token is required');
+    }
+    assert.deepEqual(await fs.readdir(curator.imagesDir), []);
+});
+
+test('without a token, only lets this machine make changes', () => {
+    // What the middleware does with a request from `remoteAddress`
+    const attempt = (check, method, remoteAddress) => {
+        const result = {};
+        const res = {
+            status(code) {
+                result.status = code;
+                return this;
+            },
+            json(body) {
+                result.body = body;
+            }
+        };
+        check({ method, socket: { remoteAddress }, get: () => undefined }, res, () => {
+            result.passed = true;
+        });
+        return result;
+    };
+    const check = requireCuratorToken(undefined);
+
+    ['127.0.0.1', '::1', '::ffff:127.0.0.1'].forEach(address => {
+        assert.deepEqual(attempt(check, 'DELETE', address), { passed: true }, address);
+    });
+    ['192.168.1.20', '::ffff:10.0.0.5', '128.0.0.1', undefined].forEach(address => {
+        assert.equal(attempt(check, 'DELETE', address).status, 403, String(address));
+    });
+    assert.deepEqual(attempt(check, 'GET', '192.168.1.20'), { passed: true });
+    assert.equal(attempt(requireCuratorToken(undefined, true), 'GET', '192.168.1.20').status, 403);
+});
+
+test('uploads an image under a safe, unused file name', async t => {
+    const curator = await startCurator(t);
+    await fs.writeFile(path.join(curator.imagesDir, 'beach-day.png'), 'taken');
+
+    const { status, body } = await curator.request('POST', '', { form: uploadForm({ title: '  Beach  ' }) });
+
+    assert.equal(status, 201);
+    assert.equal(body.artwork.image, 'images/beach-day-2.png');
+    assert.equal(body.artwork.title, 'Beach');
+    assert.equal(body.artwork.uploaded, true);
+    assert.match(body.artwork.hash, /^[0-9a-f]{64}$/);
+    assert.deepEqual(await fs.readFile(path.join(curator.imagesDir, 'beach-day-2.png')), png());
+    assert.deepEqual((await curator.readManifest()).artworks, [body.artwork]);
+});
+
+test('checks the upload before saving anything', async t => {
+    const curator = await startCurator(t);
+    const cases = [
+        [uploadForm({ image: null }), 400, 'Choose an image to upload'],
+        [uploadForm({ title: '   ' }), 400, "The title can't be empty"],
+        [uploadForm({ description: null }), 400, "The description can't be empty"],
+        [uploadForm({ title: 'x'.repeat(101) }), 400, 'The title must be at most 100 characters'],
+        [uploadForm({ image: Buffer.from('<svg></svg>'), type: 'image/png' }), 415, 'Only JPEG, PNG, GIF and WebP images can be uploaded'],
+        [uploadForm({ type: 'image/jpeg' }), 415, 'Only JPEG, PNG, GIF and WebP images can be uploaded'],
+        [uploadForm({ image: Buffer.concat([png(), Buffer.alloc(15 * 1024 * 1024)]) }), 413, 'Images must be smaller than 15 MB']
+    ];
+
+    for (const [form, status, error] of cases) {
+        const response = await curator.request('POST', '', { form });
+        assert.deepEqual(response, { status, body: { error } });
+    }
+    assert.deepEqual(await fs.readdir(curator.imagesDir), []);
+});
+
+test('refuses an image that is already in the museum', async t => {
+    const curator = await startCurator(t);
+    // Hung before hashes were kept: hashed on the next upload
+    await fs.writeFile(path.join(curator.imagesDir, 'old.png'), png(7));
+    await curator.writeManifest({ artworks: [{ image: 'images/old.png', title: 'Old', description: 'By hand' }] });
+
+    const duplicate = await curator.request('POST', '', { form: uploadForm({ image: png(7), name: 'copy.png' }) });
+    assert.deepEqual(duplicate, { status: 409, body: { error: 'This image is already in the museum as old.png' } });
+
+    assert.equal((await curator.request('POST', '', { form: uploadForm({ image: png(8) }) })).status, 201);
+    const again = await curator.request('POST', '', { form: uploadForm({ image: png(8), name: 'again.png' }) });
+    assert.deepEqual(again, { status: 409, body: { error: 'This image is already in the museum as beach-day.png' } });
+    assert.deepEqual((await fs.readdir(curator.imagesDir)).sort(), ['beach-day.png', 'old.png']);
+});
+
+test('removes the saved image when the manifest cannot be written', async t => {
+    const warnings = [];
+    t.mock.method(console, 'error', (...args) => warnings.push(args));
+    const curator = await startCurator(t, {
+        wrapStore: store => ({
+            read: store.read,
+            update: change => store.update(async manifest => {
+                await change(manifest);
+                throw new Error('Disk full');
+            })
+        })
+    });
+
+    const { status } = await curator.request('POST', '', { form: uploadForm() });
+
+    assert.equal(status, 500);
+    assert.deepEqual(await fs.readdir(curator.imagesDir), []);
+    assert.equal(warnings.length, 1);
+});
+
+test('reorders the artworks only when every one is listed once', async t => {
+    const curator = await startCurator(t);
+    for (const seed of [1, 2, 3]) {
+        await curator.request('POST', '', { form: uploadForm({ image: png(seed), name: `a${seed}.png` }) });
+    }
+
+    for (const order of [['a1.png', 'a2.png'], ['a1.png', 'a1.png', 'a2.png'], ['a1.png', 'a2.png', 'a9.png'], 'a1.png']) {
+        assert.equal((await curator.request('PUT', '/order', { json: { order } })).status, 400, JSON.stringify(order));
+    }
+
+    const { status, body } = await curator.request('PUT', '/order', { json: { order: ['a3.png', 'a1.png', 'a2.png'] } });
+    assert.equal(status, 200);
+    assert.deepEqual(body.artworks.map(artwork => artwork.image), ['images/a3.png', 'images/a1.png', 'images/a2.png']);
+    assert.deepEqual((await curator.readManifest()).artworks, body.artworks);
+});
+
+test('edits only the caption fields that are sent', async t => {
+    const curator = await startCurator(t);
+    await curator.request('POST', '', { form: uploadForm() });
+
+    const { status, body } = await curator.request('PATCH', '/beach-day.png', {
+        json: { description: ' Sunrise, actually ', image: 'images/elsewhere.png', uploaded: false }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.artwork.title, 'Beach');
+    assert.equal(body.artwork.description, 'Sunrise, actually');
+    assert.equal(body.artwork.image, 'images/beach-day.png');
+    assert.equal(body.artwork.uploaded, true);
+
+    assert.equal((await curator.request('PATCH', '/beach-day.png', { json: { title: '' } })).status, 400);
+    assert.deepEqual(await curator.request('PATCH', '/missing.png', { json: { title: 'New' } }), {
+        status: 404,
+        body: { error: 'No artwork uses missing.png' }
+    });
+});
+
+test('deletes uploaded images with their artwork but leaves images put there by hand', async t => {
+    const curator = await startCurator(t);
+    await curator.request('POST', '', { form: uploadForm() });
+    await fs.writeFile(path.join(curator.imagesDir, 'by-hand.png'), png(5));
+    const manifest = await curator.readManifest();
+    manifest.artworks.push({ image: 'images/by-hand.png', title: 'By hand', description: 'Copied in' });
+    await curator.writeManifest(manifest);
+
+    assert.equal((await curator.request('DELETE', '/beach-day.png')).status, 204);
+    assert.equal((await curator.request('DELETE', '/by-hand.png')).status, 204);
+    assert.equal((await curator.request('DELETE', '/by-hand.png')).status, 404);
+
+    assert.deepEqual((await curator.readManifest()).artworks, []);
+    assert.equal(await exists(path.join(curator.imagesDir, 'beach-day.png')), false);
+    assert.equal(await exists(path.join(curator.imagesDir, 'by-hand.png')), true);
+});
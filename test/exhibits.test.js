@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { scanExhibits } = require('../lib/exhibits');
+
+// Just enough of a PNG for its size to be read
+function png(width, height) {
+    const data = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(data);
+    data.writeUInt32BE(13, 8);
+    data.write('IHDR', 12);
+    data.writeUInt32BE(width, 16);
+    data.writeUInt32BE(height, 20);
+    data[24] = 8;
+    data[25] = 6;
+    return data;
+}
+
+// A temporary images folder holding `files` (name: contents)
+async function createImagesDir(t, files) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'museum-exhibits-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    for (const [name, contents] of Object.entries(files)) {
+        await fs.writeFile(path.join(dir, name), contents);
+    }
+    return dir;
+}
+
+// Keep the warnings about skipped files out of the test output
+function silenceWarnings(t) {
+    const warnings = [];
+    t.mock.method(console, 'warn', (...args) => warnings.push(args.join(' ')));
+    return warnings;
+}
+
+test('lists images and videos in natural order with their sizes', async t => {
+    const dir = await createImagesDir(t, {
+        'img10.png': png(4, 3),
+        'img2.png': png(2, 5),
+        'clip.mp4': 'not really a video',
+        'notes.md': '# Not an exhibit',
+        'thumbs.db': ''
+    });
+    await fs.mkdir(path.join(dir, 'sub.png'));
+
+    const exhibits = await scanExhibits(dir, 'images');
+
+    assert.deepEqual(exhibits.map(exhibit => exhibit.filename), ['clip.mp4', 'img2.png', 'img10.png']);
+    assert.deepEqual(exhibits.map(exhibit => [exhibit.path, exhibit.width, exhibit.height]), [
+        ['images/clip.mp4', null, null],
+        ['images/img2.png', 2, 5],
+        ['images/img10.png', 4, 3]
+    ]);
+    assert.equal(exhibits[1].size, 33);
+    assert.ok(!Number.isNaN(Date.parse(exhibits[1].modified)));
+});
+
+test('skips images it cannot read instead of failing the whole listing', async t => {
+    const warnings = silenceWarnings(t);
+    const dir = await createImagesDir(t, {
+        'broken.jpg': 'half an upload',
+        'fine.png': png(1, 1)
+    });
+
+    const exhibits = await scanExhibits(dir, 'images');
+
+    assert.deepEqual(exhibits.map(exhibit => exhibit.filename), ['fine.png']);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /^Skipping broken\.jpg/);
+});
+
+test('reads captions from JSON and text sidecars', async t => {
+    const warnings = silenceWarnings(t);
+    const dir = await createImagesDir(t, {
+        'beach.png': png(1, 1),
+        'beach.json': JSON.stringify({ title: 'Beach', description: 'Sunset swim', alt: '  Us in the sea  ', extra: 1 }),
+        'cake.png': png(1, 1),
+        'cake.txt': 'Birthday cake\r\nThe one with the candles\r\nall 23 of them\r\n',
+        'dog.png': png(1, 1),
+        'dog.txt': 'Just the dog\n',
+        'park.png': png(1, 1),
+        'park.json': '{ not json',
+        'park.txt': 'Park\nFell back to the text caption',
+        'empty.png': png(1, 1),
+        'empty.txt': '\n\n',
+        'bare.png': png(1, 1)
+    });
+
+    const captions = Object.fromEntries((await scanExhibits(dir, 'images'))
+        .map(exhibit => [exhibit.filename, exhibit.caption]));
+
+    assert.deepEqual(captions, {
+        'bare.png': null,
+        'beach.png': { title: 'Beach', description: 'Sunset swim', alt: 'Us in the sea' },
+        'cake.png': { title: 'Birthday cake', description: 'The one with the candles\nall 23 of them' },
+        'dog.png': { title: undefined, description: 'Just the dog' },
+        'empty.png': null,
+        'park.png': { title: 'Park', description: 'Fell back to the text caption' }
+    });
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /^Ignoring caption park\.json/);
+});
+
+test('leaves out caption fields of the wrong type', async t => {
+    const dir = await createImagesDir(t, {
+        'photo.png': png(1, 1),
+        'photo.json': JSON.stringify({ title: 3, description: ['no'], alt: '   ' })
+    });
+
+    const [exhibit] = await scanExhibits(dir, 'images');
+
+    assert.deepEqual(exhibit.caption, { title: undefined, description: undefined, alt: undefined });
+});
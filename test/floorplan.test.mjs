@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DOORWAY_HEIGHT,
+    createFloorPlan,
+    findFloorPlanProblems,
+    getRoomOpenings,
+    getSharedWalls
+} from '../js/floorplan.js';
+import { createRoomWalls } from '../js/layout.js';
+
+// Hall in the middle, a gallery to its right and a shorter studio in front of it
+const ROOMS = [
+    { id: 'hall', width: 20, length: 20, x: 0, z: 0 },
+    { id: 'gallery', width: 20, length: 20, x: 20, z: 0 },
+    { id: 'studio', width: 10, length: 10, x: -5, z: 15 }
+];
+const DOORWAYS = [
+    { from: 'hall', to: 'gallery', offset: 3 },
+    { from: 'studio', to: 'hall', width: 2 }
+];
+
+function findRoomById(plan, id) {
+    return plan.rooms.find(room => room.id === id);
+}
+
+// Where a distance along one of a room's walls is, in the world
+function toWorld(room, wallName, along) {
+    const wall = createRoomWalls(room.width, room.length, room.x, room.z).find(candidate => candidate.name === wallName);
+    return { x: wall.start.x + wall.direction.x * along, z: wall.start.z + wall.direction.z * along };
+}
+
+test('cuts each doorway into the walls of both rooms it joins, at the same place', () => {
+    const plan = createFloorPlan(ROOMS, DOORWAYS);
+    const hall = findRoomById(plan, 'hall');
+    const gallery = findRoomById(plan, 'gallery');
+    const studio = findRoomById(plan, 'studio');
+
+    assert.deepEqual(getRoomOpenings(plan, hall), [
+        { wall: 'right', from: 11, to: 15, height: DOORWAY_HEIGHT },
+        { wall: 'front', from: 14, to: 16, height: DOORWAY_HEIGHT }
+    ]);
+    assert.deepEqual(getRoomOpenings(plan, gallery), [
+        { wall: 'left', from: 5, to: 9, height: DOORWAY_HEIGHT }
+    ]);
+    assert.deepEqual(getRoomOpenings(plan, studio), [
+        { wall: 'back', from: 4, to: 6, height: DOORWAY_HEIGHT }
+    ]);
+
+    // The offset doorway's two sides meet in the world
+    const hallSide = [toWorld(hall, 'right', 11), toWorld(hall, 'right', 15)];
+    const gallerySide = [toWorld(gallery, 'left', 9), toWorld(gallery, 'left', 5)];
+    assert.deepEqual(hallSide, gallerySide);
+});
+
+test('has the first room in the plan build each shared stretch of wall', () => {
+    const plan = createFloorPlan(ROOMS, DOORWAYS);
+
+    assert.deepEqual(getSharedWalls(plan, findRoomById(plan, 'hall')), [
+        { wall: 'right', from: 0, to: 20, builder: 'hall' },
+        { wall: 'front', from: 10, to: 20, builder: 'hall' }
+    ]);
+    assert.deepEqual(getSharedWalls(plan, findRoomById(plan, 'gallery')), [
+        { wall: 'left', from: 0, to: 20, builder: 'hall' }
+    ]);
+    // The studio's back wall is only partly against the hall
+    assert.deepEqual(getSharedWalls(plan, findRoomById(plan, 'studio')), [
+        { wall: 'back', from: 0, to: 10, builder: 'hall' }
+    ]);
+});
+
+test('puts the doorway inside the shared stretch on both sides', () => {
+    const plan = createFloorPlan(ROOMS, DOORWAYS);
+    plan.rooms.forEach(room => {
+        const shared = getSharedWalls(plan, room);
+        getRoomOpenings(plan, room).forEach(opening => {
+            assert.ok(shared.some(stretch => stretch.wall === opening.wall &&
+                opening.from >= stretch.from && opening.to <= stretch.to), `${room.id} ${opening.wall}`);
+        });
+    });
+});
+
+test('leaves rooms that only touch at a corner unconnected', () => {
+    const plan = createFloorPlan([
+        { id: 'a', width: 10, length: 10, x: 0, z: 0 },
+        { id: 'b', width: 10, length: 10, x: 10, z: 10 }
+    ]);
+    plan.rooms.forEach(room => assert.deepEqual(getSharedWalls(plan, room), []));
+});
+
+test('finds rooms and doorways that cannot be built', () => {
+    assert.deepEqual(findFloorPlanProblems([
+        { id: 'hall', width: 20, length: 20, x: 0, z: 0 },
+        { id: 'hall', width: 20, length: 20, x: 5, z: 0 }
+    ], []), [
+        'rooms[1] reuses the id "hall"',
+        'rooms "hall" and "hall" overlap'
+    ]);
+
+    assert.deepEqual(findFloorPlanProblems(ROOMS, [
+        { from: 'gallery', to: 'studio' },
+        { from: 'hall', to: 'gallery', width: 19.5 },
+        { from: 'hall', to: 'attic' }
+    ]), [
+        'doorways[0]: rooms "gallery" and "studio" don\'t share a wall',
+        'doorways[1] is too wide or too far off-centre for the wall between "hall" and "gallery"',
+        'doorways[2] connects "hall" and "attic" but both rooms must exist'
+    ]);
+
+    assert.deepEqual(findFloorPlanProblems(ROOMS, [DOORWAYS[0]]), [
+        'room "studio" has no doorway leading to it'
+    ]);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { MAX_MESSAGE_LENGTH, MAX_NAME_LENGTH, createGuestbookRouter } = require('../lib/guestbook');
+
+// A guestbook in a temporary folder, served on a local port
+async function startGuestbook(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'museum-guestbook-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const guestbookPath = path.join(dir, 'guestbook.json');
+
+    const app = express();
+    app.use('/api/guestbook', createGuestbookRouter(guestbookPath));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const url = `http://127.0.0.1:${server.address().port}/api/guestbook`;
+    return {
+        url,
+        guestbookPath,
+        async sign(body) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            return { status: response.status, body: await response.json() };
+        }
+    };
+}
+
+test('keeps signed messages in order', async t => {
+    const guestbook = await startGuestbook(t);
+
+    const first = await guestbook.sign({ name: 'Sam', message: 'Happy birthday!' });
+    await guestbook.sign({ name: 'Alex', message: 'Lovely photos' });
+
+    assert.equal(first.status, 201);
+    assert.match(first.body.entry.id, /^[0-9a-f-]{36}$/);
+    assert.ok(!Number.isNaN(Date.parse(first.body.entry.created)));
+    const { entries } = await (await fetch(guestbook.url)).json();
+    assert.deepEqual(entries.map(entry => [entry.name, entry.message]), [['Sam', 'Happy birthday!'], ['Alex', 'Lovely photos']]);
+});
+
+test('strips markup and control characters from names and messages', async t => {
+    const guestbook = await startGuestbook(t);
+
+    const { body } = await guestbook.sign({
+        name: '<b>Sam</b>\u0000',
+        message: '  <script>alert(1)</script>Hi\n\n\tthere <img src=x onerror=alert(1)> love you <3  '
+    });
+
+    assert.equal(body.entry.name, 'Sam');
+    assert.equal(body.entry.message, 'alert(1)Hi there love you 3');
+});
+
+test('masks whole profane words only', async t => {
+    const guestbook = await startGuestbook(t);
+
+    const { body } = await guestbook.sign({
+        name: 'Dick',
+        message: 'Shit, this is FUCKING great. Dickens, Pissarro and Scunthorpe are fine; bitches and dicks are not'
+    });
+
+    assert.equal(body.entry.name, 'D***');
+    assert.equal(body.entry.message,
+        'S***, this is F****** great. Dickens, Pissarro and Scunthorpe are fine; b****** and d**** are not');
+});
+
+test('refuses empty and overlong names and messages', async t => {
+    const guestbook = await startGuestbook(t);
+    const cases = [
+        [{ message: 'Hi' }, 'Please write a name'],
+        [{ name: 'Sam', message: 42 }, 'Please write a message'],
+        [{ name: '<i></i>', message: 'Hi' }, 'Please write a name'],
+        [{ name: 'Sam', message: ' \n\t ' }, 'Please write a message'],
+        [{ name: 'x'.repeat(MAX_NAME_LENGTH + 1), message: 'Hi' }, `The name must be at most ${MAX_NAME_LENGTH} characters`],
+        [{ name: 'Sam', message: 'x'.repeat(MAX_MESSAGE_LENGTH + 1) }, `The message must be at most ${MAX_MESSAGE_LENGTH} characters`]
+    ];
+
+    for (const [body, error] of cases) {
+        assert.deepEqual(await guestbook.sign(body), { status: 400, body: { error } }, JSON.stringify(body));
+    }
+    // Cleaning happens before the length check, so markup doesn't count
+    assert.equal((await guestbook.sign({ name: `<b>${'x'.repeat(MAX_NAME_LENGTH)}</b>`, message: 'Hi' })).status, 201);
+});
+
+test('keeps only the newest 500 messages', async t => {
+    const guestbook = await startGuestbook(t);
+    const entries = Array.from({ length: 500 }, (_, index) => ({ id: String(index), name: 'Old', message: `Message ${index}` }));
+    await fs.writeFile(guestbook.guestbookPath, JSON.stringify({ entries }));
+
+    await guestbook.sign({ name: 'New', message: 'The latest' });
+
+    const saved = JSON.parse(await fs.readFile(guestbook.guestbookPath, 'utf8')).entries;
+    assert.equal(saved.length, 500);
+    assert.equal(saved[0].message, 'Message 1');
+    assert.equal(saved[499].message, 'The latest');
+});
+
+test('sends new messages to open museum pages as they are signed', async t => {
+    const guestbook = await startGuestbook(t);
+    const controller = new AbortController();
+    const response = await fetch(`${guestbook.url}/events`, { signal: controller.signal });
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let received = '';
+    // Read the stream until it has held `count` events
+    const readEvents = async count => {
+        while (received.split('\n\n').length - 1 < count) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            received += value;
+        }
+        return received.split('\n\n').slice(0, count);
+    };
+
+    assert.deepEqual(await readEvents(1), ['retry: 5000']);
+    const { body } = await guestbook.sign({ name: 'Sam', message: '<b>Hello</b> there' });
+    const [, event] = await readEvents(2);
+    controller.abort();
+
+    const [type, data] = event.split('\n');
+    assert.equal(type, 'event: entry');
+    assert.deepEqual(JSON.parse(data.replace(/^data: /, '')), body.entry);
+    assert.equal(body.entry.message, 'Hello there');
+});
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoomWalls, layoutArtworks } from '../js/layout.js';
+
+const MIN_GAP = 1.5;
+const EDGE_MARGIN = 1;
+
+// Artworks side by side on one wall, in order along it
+function onWall(placements, wall) {
+    return placements.filter(placement => placement.wall === wall).sort((a, b) => a.along - b.along);
+}
+
+// Fail unless the artworks keep clear of the corners and of each other
+function assertSpacedOut(placements, wallLength) {
+    placements.forEach((placement, index) => {
+        const left = placement.along - placement.width / 2;
+        const right = placement.along + placement.width / 2;
+        assert.ok(left >= EDGE_MARGIN - 1e-9 && right <= wallLength - EDGE_MARGIN + 1e-9, `artwork ${placement.index} off the wall`);
+        if (index > 0) {
+            const previous = placements[index - 1];
+            assert.ok(left - (previous.along + previous.width / 2) >= MIN_GAP - 1e-9,
+                `artworks ${previous.index} and ${placement.index} too close`);
+        }
+    });
+}
+
+test('shrinks a crowd of artworks pinned to one wall until they all fit', () => {
+    const walls = createRoomWalls(20, 30);
+    const items = Array.from({ length: 6 }, (_, slot) => ({ width: 3, height: 2, wall: 'back', slot: 5 - slot }));
+    const { placements, overflow, scale } = layoutArtworks(items, walls);
+
+    assert.deepEqual(overflow, []);
+    assert.ok(scale < 1 && scale >= 0.5);
+    const back = onWall(placements, 'back');
+    // Slots run along the wall in order, and every artwork is the same size
+    assert.deepEqual(back.map(placement => placement.index), [5, 4, 3, 2, 1, 0]);
+    back.forEach(placement => assert.equal(placement.width, 3 * scale));
+    assertSpacedOut(back, 20);
+});
+
+test('reports the artworks that still do not fit at the smallest size', () => {
+    const walls = createRoomWalls(20, 30);
+    const items = Array.from({ length: 20 }, () => ({ width: 3, height: 2, wall: 'back' }));
+    const { placements, overflow, scale } = layoutArtworks(items, walls);
+
+    assert.equal(scale, 0.5);
+    assert.ok(overflow.length > 0);
+    assert.equal(placements.length + overflow.length, items.length);
+    assertSpacedOut(onWall(placements, 'back'), 20);
+});
+
+test('leaves the artworks that do not fit out when asked to report rather than shrink', () => {
+    const walls = createRoomWalls(20, 30);
+    const items = Array.from({ length: 8 }, () => ({ width: 3, height: 2, wall: 'back' }));
+    const { placements, overflow, scale } = layoutArtworks(items, walls, [], { overflow: 'report' });
+
+    assert.equal(scale, 1);
+    assert.deepEqual(overflow, [4, 5, 6, 7]);
+    assertSpacedOut(onWall(placements, 'back'), 20);
+});
+
+test('keeps a doorway on a crowded wall clear', () => {
+    const walls = createRoomWalls(20, 30);
+    const doorway = { wall: 'back', from: 8, to: 12 };
+    const items = Array.from({ length: 6 }, () => ({ width: 2, height: 2, wall: 'back' }));
+    const { placements, overflow } = layoutArtworks(items, walls, [doorway]);
+
+    assert.deepEqual(overflow, []);
+    onWall(placements, 'back').forEach(placement => {
+        const clear = placement.along + placement.width / 2 <= doorway.from - MIN_GAP / 2 + 1e-9 ||
+            placement.along - placement.width / 2 >= doorway.to + MIN_GAP / 2 - 1e-9;
+        assert.ok(clear, `artwork ${placement.index} in the doorway`);
+    });
+});
+
+test('spreads artworks with no wall of their own around the whole room', () => {
+    const walls = createRoomWalls(20, 30);
+    const items = Array.from({ length: 16 }, () => ({ width: 2, height: 2 }));
+    const { placements, overflow, scale } = layoutArtworks(items, walls);
+
+    assert.deepEqual(overflow, []);
+    assert.equal(scale, 1);
+    walls.forEach(wall => {
+        const hung = onWall(placements, wall.name);
+        assert.ok(hung.length >= 3, `only ${hung.length} on the ${wall.name} wall`);
+        assertSpacedOut(hung, wall.length);
+    });
+});
@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ManifestError, validateManifest } from '../js/manifest.js';
+
+const artwork = { image: 'images/img1.jpg', title: '3-1-25', description: 'We are going to...' };
+
+// The problems validateManifest finds with `data`, or none if it's accepted
+function problemsWith(data) {
+    try {
+        validateManifest(data);
+        return [];
+    } catch (error) {
+        assert.ok(error instanceof ManifestError);
+        return error.problems;
+    }
+}
+
+test('accepts a manifest with only artworks and fills in the defaults', () => {
+    const manifest = validateManifest({ artworks: [artwork] });
+
+    assert.deepEqual(manifest.rooms, []);
+    assert.deepEqual(manifest.music, []);
+    assert.equal(manifest.ambient, null);
+    assert.equal(manifest.tour.order, 'manifest');
+    assert.equal(manifest.artworks[0].frame, 'classic');
+    assert.deepEqual(manifest.artworks[0].media, []);
+});
+
+test('refuses anything that is not an object with an artworks array', () => {
+    [null, 'artworks', [], {}, { artworks: {} }].forEach(data => {
+        assert.throws(() => validateManifest(data), ManifestError, JSON.stringify(data));
+    });
+});
+
+test('lists every problem with the artworks at once', () => {
+    const problems = problemsWith({
+        artworks: [
+            { image: 'images/img1.bmp', title: '', description: 'Fine' },
+            'not an artwork',
+            { ...artwork, wall: 'ceiling', slot: -1, frame: 'neon', date: '2025-02-30' }
+        ]
+    });
+
+    assert.deepEqual(problems, [
+        'artworks[0].image "images/img1.bmp" must end in .jpg, .jpeg, .png, .gif, .webp, .mp4, .webm',
+        'artworks[0].title is missing',
+        'artworks[1] must be an object',
+        'artworks[2].date must be a date written YYYY-MM-DD',
+        'artworks[2].wall must be one of left, right, back, front',
+        'artworks[2].slot must be a whole number of 0 or more',
+        'artworks[2].frame must be one of classic, gold, wood, none'
+    ]);
+});
+
+test('keeps artwork and media paths inside the museum folder', () => {
+    const problems = problemsWith({
+        artworks: [
+            { ...artwork, image: '../secret.jpg' },
+            { ...artwork, image: '/images/img1.jpg' },
+            { ...artwork, image: 'https://example.com/img1.jpg' },
+            { ...artwork, media: [{ type: 'audio', src: 'audio/../../voice.mp3' }, { type: 'script', src: 'x.js' }] }
+        ],
+        music: ['audio/song.exe']
+    });
+
+    assert.deepEqual(problems, [
+        'music[0] "audio/song.exe" must end in .mp3, .ogg, .wav, .m4a',
+        'artworks[0].image "../secret.jpg" must not point outside the museum folder',
+        'artworks[1].image "/images/img1.jpg" must be a relative path',
+        'artworks[2].image "https://example.com/img1.jpg" must be a relative path',
+        'artworks[3].media[0].src "audio/../../voice.mp3" must not point outside the museum folder',
+        'artworks[3].media[1].type must be one of audio, video'
+    ]);
+});
+
+test('checks rooms, doorways and the rooms artworks hang in', () => {
+    assert.deepEqual(problemsWith({
+        rooms: [{ id: 'hall', width: 5, length: 30 }],
+        doorways: 'everywhere',
+        artworks: [{ ...artwork, room: 'attic' }]
+    }), [
+        'rooms[0].width must be a number of at least 10',
+        '"doorways" must be an array',
+        'artworks[0].room must be one of hall'
+    ]);
+
+    assert.deepEqual(problemsWith({ artworks: [{ ...artwork, room: 'hall' }] }), [
+        'artworks[0].room is set but the manifest has no "rooms"'
+    ]);
+});
+
+test('checks the tour, theme and personalization', () => {
+    assert.deepEqual(problemsWith({
+        theme: 'disco',
+        tour: { order: 'random', stopSeconds: 0, playAudio: 'yes' },
+        personalization: { recipient: '   ', age: 2.5 },
+        artworks: [artwork]
+    }).map(problem => problem.split(' must ')[0]), [
+        '"theme"',
+        'personalization.recipient',
+        'personalization.age',
+        'tour.order',
+        'tour.stopSeconds',
+        'tour.playAudio'
+    ]);
+});
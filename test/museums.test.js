@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createMuseumAdminRouter, createMuseumRegistry, openMuseum } = require('../lib/museums');
+
+const TOKEN = 'let-me-curate';
+
+async function createTempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'museum-registry-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+async function listen(t, app) {
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+// The museum admin API over a fresh museums folder, on a local port
+async function startAdmin(t, token = TOKEN) {
+    const museumsDir = path.join(await createTempDir(t), 'museums');
+    const registry = createMuseumRegistry({ museumsDir, appDir: __dirname, token });
+    const app = express();
+    app.use('/api/museums', createMuseumAdminRouter({ registry, token }));
+    const url = `${await listen(t, app)}/api/museums`;
+
+    return {
+        museumsDir,
+        registry,
+        async request(method, pathname = '', { json, headers = { 'X-Curator-Token': TOKEN } } = {}) {
+            const response = await fetch(url + pathname, {
+                method,
+                headers: { ...(json ? { 'Content-Type': 'application/json' } : {}), ...headers },
+                body: json && JSON.stringify(json)
+            });
+            const text = await response.text();
+            return { status: response.status, body: text ? JSON.parse(text) : null };
+        }
+    };
+}
+
+test('needs the curator token to list, create or delete museums', async t => {
+    const admin = await startAdmin(t);
+    await admin.registry.create({ id: 'ours', title: 'Ours' });
+
+    for (const [method, pathname, json] of [['GET', ''], ['POST', '', { title: 'Theirs' }], ['DELETE', '/ours']]) {
+        const { status } = await admin.request(method, pathname, { json, headers: { 'X-Curator-Token': 'guess' } });
+        assert.equal(status, 401, `${method} ${pathname}`);
+    }
+    assert.deepEqual(await fs.readdir(admin.museumsDir), ['ours']);
+});
+
+test('lets this machine manage museums when no token is set', async t => {
+    const admin = await startAdmin(t, null);
+
+    const created = await admin.request('POST', '', { json: { id: 'local', title: 'Local' }, headers: {} });
+    assert.equal(created.status, 201);
+    assert.equal((await admin.request('DELETE', '/local', { headers: {} })).status, 204);
+});
+
+test('creates a museum with an empty manifest and an images folder', async t => {
+    const admin = await startAdmin(t);
+
+    const { status, body } = await admin.request('POST', '', { json: { id: 'kylie-23', title: '  Kylie at 23  ' } });
+
+    assert.equal(status, 201);
+    assert.equal(body.museum.id, 'kylie-23');
+    assert.equal(body.museum.title, 'Kylie at 23');
+    assert.equal(body.museum.artworks, 0);
+    assert.equal(body.museum.url, '/m/kylie-23/');
+    const dir = path.join(admin.museumsDir, 'kylie-23');
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, 'exhibit.json'), 'utf8')), { title: 'Kylie at 23', artworks: [] });
+    assert.ok((await fs.stat(path.join(dir, 'images'))).isDirectory());
+});
+
+test('makes up a hard-to-guess id from the title when none is given', async t => {
+    const admin = await startAdmin(t);
+
+    const first = await admin.request('POST', '', { json: { title: 'Our Trip to Rome!' } });
+    const second = await admin.request('POST', '', { json: { title: 'Our Trip to Rome!' } });
+    const untitled = await admin.request('POST', '', { json: { title: '❤️' } });
+
+    assert.match(first.body.museum.id, /^our-trip-to-rome-[0-9a-f]{6}$/);
+    assert.notEqual(first.body.museum.id, second.body.museum.id);
+    assert.match(untitled.body.museum.id, /^[0-9a-f]{6}$/);
+});
+
+test('refuses bad titles, bad ids and ids that are taken', async t => {
+    const admin = await startAdmin(t);
+    await admin.request('POST', '', { json: { id: 'taken', title: 'Taken' } });
+
+    const cases = [
+        [{ id: 'fine' }, 400, 'Give the museum a title'],
+        [{ title: '   ' }, 400, 'Give the museum a title'],
+        [{ title: 'x'.repeat(101) }, 400, 'The title must be at most 100 characters'],
+        [{ id: '../escape', title: 'Escape' }, 400, 'Museum ids may only use lowercase letters, digits and dashes (up to 40)'],
+        [{ id: 'Capitals', title: 'Capitals' }, 400, 'Museum ids may only use lowercase letters, digits and dashes (up to 40)'],
+        [{ id: 'taken', title: 'Again' }, 409, 'There is already a museum called taken']
+    ];
+    for (const [json, status, error] of cases) {
+        assert.deepEqual(await admin.request('POST', '', { json }), { status, body: { error } }, JSON.stringify(json));
+    }
+    assert.deepEqual(await fs.readdir(admin.museumsDir), ['taken']);
+});
+
+test('lists museums oldest first with their titles and artwork counts', async t => {
+    const admin = await startAdmin(t);
+    await admin.request('POST', '', { json: { id: 'first', title: 'First' } });
+    await admin.request('POST', '', { json: { id: 'second', title: 'Second' } });
+    await fs.writeFile(path.join(admin.museumsDir, 'second', 'exhibit.json'), JSON.stringify({
+        artworks: [{ image: 'images/a.png' }, { image: 'images/b.png' }]
+    }));
+    // Folders that can't be museums are left out
+    await fs.mkdir(path.join(admin.museumsDir, 'Not A Museum'));
+    await fs.writeFile(path.join(admin.museumsDir, 'stray-file'), '');
+
+    const { status, body } = await admin.request('GET');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.museums.map(museum => [museum.id, museum.title, museum.artworks]), [
+        ['first', 'First', 0],
+        ['second', 'second', 2]
+    ]);
+});
+
+test('deletes a museum and everything in it', async t => {
+    const admin = await startAdmin(t);
+    await admin.request('POST', '', { json: { id: 'doomed', title: 'Doomed' } });
+    await fs.writeFile(path.join(admin.museumsDir, 'doomed', 'images', 'photo.png'), 'photo');
+    assert.ok(await admin.registry.get('doomed'));
+
+    assert.equal((await admin.request('DELETE', '/doomed')).status, 204);
+
+    assert.deepEqual(await fs.readdir(admin.museumsDir), []);
+    assert.equal(await admin.registry.get('doomed'), null);
+    assert.deepEqual(await admin.request('DELETE', '/doomed'), {
+        status: 404,
+        body: { error: 'There is no museum called doomed' }
+    });
+    assert.equal((await admin.request('DELETE', '/..%2F..%2Fetc')).status, 404);
+});
+
+test("doesn't serve other museums' files from the main museum", async t => {
+    const dir = await createTempDir(t);
+    const museumsDir = path.join(dir, 'museums');
+    await fs.mkdir(path.join(museumsDir, 'private'), { recursive: true });
+    await fs.writeFile(path.join(museumsDir, 'private', 'exhibit.json'), '{"artworks":[]}');
+    await fs.writeFile(path.join(dir, 'exhibit.json'), '{"artworks":[]}');
+
+    const main = openMuseum({ id: null, dir, appDir: dir, token: TOKEN, hiddenDirs: [museumsDir] });
+    const app = express();
+    app.use(main.router);
+    const url = await listen(t, app);
+
+    assert.equal((await fetch(`${url}/exhibit.json`)).status, 200);
+    for (const pathname of ['/museums/private/exhibit.json', '/museums/private/%65xhibit.json', '/museums/./private/exhibit.json', '/museums/']) {
+        assert.equal((await fetch(url + pathname)).status, 404, pathname);
+    }
+});
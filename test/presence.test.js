@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const { attachPresence } = require('../lib/presence');
+
+// A server with presence for the main museum and the ones `findMuseum` knows
+async function startPresence(t, findMuseum = async id => ['rome', 'paris'].includes(id) || null) {
+    const server = http.createServer((req, res) => res.end());
+    const sockets = attachPresence(server, { findMuseum });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        sockets.clients.forEach(ws => ws.terminate());
+        return new Promise(resolve => server.close(resolve));
+    });
+    return `ws://127.0.0.1:${server.address().port}`;
+}
+
+// Connect to `url`; `next()` resolves with the next message received
+async function connect(t, url) {
+    const ws = new WebSocket(url);
+    const received = [];
+    const waiting = [];
+    ws.on('message', data => {
+        const message = JSON.parse(data);
+        if (waiting.length) {
+            waiting.shift()(message);
+        } else {
+            received.push(message);
+        }
+    });
+    t.after(() => ws.terminate());
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+
+    return {
+        ws,
+        send: message => ws.send(typeof message === 'string' ? message : JSON.stringify(message)),
+        next: () => received.length ? Promise.resolve(received.shift()) : new Promise(resolve => waiting.push(resolve))
+    };
+}
+
+// Connect and say hello; resolves with the client and its welcome
+async function join(t, url, hello) {
+    const client = await connect(t, url);
+    client.send({ type: 'hello', ...hello });
+    const welcome = await client.next();
+    assert.equal(welcome.type, 'welcome');
+    return { ...client, welcome };
+}
+
+test('welcomes visitors and tells the others who joined', async t => {
+    const url = `${await startPresence(t)}/api/presence`;
+
+    const sam = await join(t, url, { name: '  Sam\u0000 <3  ' });
+    assert.equal(sam.welcome.host, false);
+    assert.deepEqual(sam.welcome.visitors, []);
+
+    const anonymous = await join(t, url, { name: 42 });
+    assert.deepEqual(anonymous.welcome.visitors.map(visitor => visitor.name), ['Sam 3']);
+
+    const joined = await sam.next();
+    assert.equal(joined.type, 'join');
+    assert.deepEqual(joined.visitor, {
+        id: anonymous.welcome.id,
+        name: 'Visitor',
+        host: false,
+        position: [0, 2, 0],
+        rotation: [0, 0]
+    });
+});
+
+test('shares moves with everyone else and ignores bad ones', async t => {
+    const url = `${await startPresence(t)}/api/presence`;
+    const sam = await join(t, url, { name: 'Sam' });
+    const alex = await join(t, url, { name: 'Alex' });
+    await sam.next(); // Alex joining
+
+    alex.send('not json');
+    alex.send({ type: 'move', position: [1, 2], rotation: [0, 0] });
+    alex.send({ type: 'move', position: [1, 2, 'x'], rotation: [0, 0] });
+    alex.send({ type: 'move', position: [1, 2, 3], rotation: [0.5, null] });
+    alex.send({ type: 'move', position: [1, 2, 3], rotation: [0.5, 0.1] });
+
+    assert.deepEqual(await sam.next(), { type: 'move', id: alex.welcome.id, position: [1, 2, 3], rotation: [0.5, 0.1] });
+
+    // Newcomers see where everyone is
+    const kim = await join(t, url, { name: 'Kim' });
+    const seenAlex = kim.welcome.visitors.find(visitor => visitor.name === 'Alex');
+    assert.deepEqual(seenAlex.position, [1, 2, 3]);
+});
+
+test('ignores everything but hello until a visitor has said it, and hello after that', async t => {
+    const url = `${await startPresence(t)}/api/presence`;
+    const sam = await join(t, url, { name: 'Sam' });
+    const lurker = await connect(t, url);
+
+    lurker.send({ type: 'move', position: [9, 9, 9], rotation: [0, 0] });
+    lurker.send({ type: 'hello', name: 'Lurker' });
+    const { visitor } = await sam.next();
+    assert.equal(visitor.name, 'Lurker');
+    assert.deepEqual(visitor.position, [0, 2, 0]);
+    assert.equal((await lurker.next()).type, 'welcome');
+
+    sam.send({ type: 'hello', name: 'Someone else', host: true });
+    sam.send({ type: 'move', position: [1, 2, 3], rotation: [0, 0] });
+    const moved = await lurker.next();
+    assert.equal(moved.type, 'move');
+    assert.equal(moved.id, sam.welcome.id);
+});
+
+test('has one host per museum, and only the host can lead', async t => {
+    const base = await startPresence(t);
+    const host = await join(t, `${base}/api/presence`, { name: 'Host', host: true });
+    const rival = await join(t, `${base}/api/presence`, { name: 'Rival', host: true });
+    const otherHost = await join(t, `${base}/m/rome/api/presence`, { name: 'Roman', host: true });
+    assert.equal(host.welcome.host, true);
+    assert.equal(rival.welcome.host, false);
+    assert.equal(otherHost.welcome.host, true);
+    await host.next(); // Rival joining
+
+    rival.send({ type: 'zoom', artwork: 'images/rival.jpg' });
+    host.send({ type: 'zoom', artwork: 'images/' + 'a'.repeat(600) });
+    const zoom = await rival.next();
+    assert.equal(zoom.type, 'zoom');
+    assert.equal(zoom.id, host.welcome.id);
+    assert.equal(zoom.artwork.length, 500);
+
+    rival.send({ type: 'unzoom' });
+    host.send({ type: 'unzoom' });
+    assert.deepEqual(await rival.next(), { type: 'unzoom', id: host.welcome.id });
+    // The host's own messages don't come back to them
+    rival.send({ type: 'move', position: [1, 2, 3], rotation: [0, 0] });
+    assert.equal((await host.next()).type, 'move');
+});
+
+test('keeps each museum to itself and says when visitors leave', async t => {
+    const base = await startPresence(t);
+    const roman = await join(t, `${base}/m/rome/api/presence`, { name: 'Roman' });
+    const parisian = await join(t, `${base}/m/paris/api/presence`, { name: 'Parisian' });
+    const friend = await join(t, `${base}/m/rome/api/presence`, { name: 'Friend' });
+    assert.deepEqual(friend.welcome.visitors.map(visitor => visitor.name), ['Roman']);
+    assert.equal(parisian.welcome.visitors.length, 0);
+
+    assert.equal((await roman.next()).type, 'join');
+    friend.ws.close();
+    assert.deepEqual(await roman.next(), { type: 'leave', id: friend.welcome.id });
+});
+
+test('refuses connections to museums that do not exist', async t => {
+    const warnings = [];
+    t.mock.method(console, 'warn', (...args) => warnings.push(args.join(' ')));
+    const base = await startPresence(t, async id => {
+        if (id === 'broken') throw new Error('Disk unavailable');
+        return id === 'rome' || null;
+    });
+
+    for (const pathname of ['/m/atlantis/api/presence', '/m/broken/api/presence', '/api/elsewhere', '/m/rome/api/presence/']) {
+        await assert.rejects(connect(t, base + pathname), undefined, pathname);
+    }
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /Disk unavailable/);
+
+    // The server is still there for everyone else
+    await join(t, `${base}/m/rome/api/presence`, { name: 'Roman' });
+});
+
+test('drops only the visitor who sends an oversized message', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const url = `${await startPresence(t)}/api/presence`;
+    const sam = await join(t, url, { name: 'Sam' });
+    const flooder = await join(t, url, { name: 'Flooder' });
+    await sam.next(); // Flooder joining
+
+    const closed = new Promise(resolve => flooder.ws.once('close', resolve));
+    flooder.send({ type: 'move', position: [1, 2, 3], rotation: [0, 0], padding: 'x'.repeat(5000) });
+    await closed;
+
+    assert.deepEqual(await sam.next(), { type: 'leave', id: flooder.welcome.id });
+    const kim = await join(t, url, { name: 'Kim' });
+    assert.deepEqual(kim.welcome.visitors.map(visitor => visitor.name), ['Sam']);
+});
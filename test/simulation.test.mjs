@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createCollisionWorld } from '../js/collision.js';
+import { createFixedTimestep, createVisitor, interpolateVisitor, stepVisitor } from '../js/simulation.js';
+
+const HEAD_HEIGHT = 2;
+const BENCH_HEIGHT = 1;
+const WALL_Z = -10;
+
+function createPhysics() {
+    const world = createCollisionWorld();
+    world.addBox({ type: 'bench', x: 0, z: -4, width: 4, depth: 1.5, height: BENCH_HEIGHT });
+    world.addBox({ type: 'wall', x: 20, z: WALL_Z, width: 20, depth: 0.2, height: 6, standable: false });
+    return {
+        world,
+        body: y => ({ radius: 0.5, feet: y - HEAD_HEIGHT, height: HEAD_HEIGHT + 0.2, stepHeight: 0.4 }),
+        headHeight: HEAD_HEIGHT,
+        walkSpeed: 50,
+        stepHeight: 0.4,
+        gravity: -30,
+        jumpForce: 10
+    };
+}
+
+// Run the visitor for `seconds` at `hz` frames a second. `inputAt(time)`
+// gives what they press; jump is pressed once, at the start.
+function run(hz, seconds, start, inputAt) {
+    const physics = createPhysics();
+    const visitor = createVisitor(start);
+    const timestep = createFixedTimestep();
+    const drawn = { x: 0, y: 0, z: 0 };
+    let time = 0;
+    let jump = true;
+    let peak = start.y;
+
+    for (let frame = 0; frame < hz * seconds; frame++) {
+        const alpha = timestep.advance(1 / hz, step => {
+            stepVisitor(visitor, { ...inputAt(time), jump, facing: { x: 0, z: -1 } }, step, physics);
+            jump = false;
+            time += step;
+            peak = Math.max(peak, visitor.position.y);
+        });
+        interpolateVisitor(visitor, alpha, drawn);
+    }
+    return { visitor, peak };
+}
+
+const standStill = () => ({ forward: 0, right: 0 });
+
+test('jumps as high at 30 Hz as at 144 Hz', () => {
+    const slow = run(30, 2, { x: 0, y: HEAD_HEIGHT, z: 0 }, standStill);
+    const fast = run(144, 2, { x: 0, y: HEAD_HEIGHT, z: 0 }, standStill);
+
+    assert.ok(slow.peak > HEAD_HEIGHT + 1.5);
+    assert.equal(slow.peak, fast.peak);
+    assert.equal(slow.visitor.position.y, HEAD_HEIGHT);
+    assert.equal(fast.visitor.position.y, HEAD_HEIGHT);
+});
+
+test('lands on a bench at the same height at 30 Hz and 144 Hz', () => {
+    // Jump and walk forward for a moment, which carries the visitor onto the bench
+    const walkBriefly = time => ({ forward: time < 0.6 ? 1 : 0, right: 0 });
+    [30, 144].forEach(hz => {
+        const { visitor } = run(hz, 2, { x: 0, y: HEAD_HEIGHT, z: -1.5 }, walkBriefly);
+        assert.equal(visitor.position.y, HEAD_HEIGHT + BENCH_HEIGHT, `at ${hz} Hz`);
+        assert.equal(visitor.isJumping, false);
+        assert.ok(Math.abs(visitor.position.z + 4) < 0.75, `on the bench at ${hz} Hz`);
+    });
+});
+
+test('stops at a wall the same way at 30 Hz and 144 Hz', () => {
+    const walkOn = () => ({ forward: 1, right: 0 });
+    const stops = [30, 144].map(hz => run(hz, 3, { x: 20, y: HEAD_HEIGHT, z: -5 }, walkOn).visitor.position);
+
+    // The visitor's half-metre radius from the wall's face, never through it
+    stops.forEach(position => {
+        assert.ok(Math.abs(position.z - (WALL_Z + 0.1 + 0.5)) < 1e-9);
+        assert.equal(position.x, 20);
+    });
+});